@@ -0,0 +1,160 @@
+const express = require('express');
+const cors = require('cors');
+const taskRoutes = require('./routes/tasks');
+const bidRoutes = require('./routes/bids');
+const statsRoutes = require('./routes/stats');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const reviewRoutes = require('./routes/reviews');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+const { outboxConfigFromEnv } = require('./lib/outbox');
+const { logger: defaultLogger } = require('./lib/logger');
+const { requestLogger } = require('./middleware/requestLogger');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { createRateLimiter, rateLimitsFromEnv } = require('./middleware/rateLimit');
+const { openApiValidator, responseValidationFromEnv } = require('./middleware/openapi');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { checkDatabase } = require('./lib/health');
+const { featuredWeightsFromEnv, featuredCacheTtlFromEnv, createFeaturedCache, invalidateFeaturedOnWrite } = require('./lib/featured');
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser ("*" allows any)
+const corsOriginsFromEnv = (env = process.env) => String(env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// TRUST_PROXY: how many proxies sit in front of the app (or "true"), so req.ip is the client's address
+const trustProxyFromEnv = (env = process.env) => {
+  if (!env.TRUST_PROXY) return false;
+  if (env.TRUST_PROXY === 'true') return true;
+  return /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY;
+};
+
+// The OpenAPI document depends only on the code, so every app shares one (and its compiled validators)
+const openApiSpec = buildOpenApiSpec();
+
+// Builds the Express app around a storage's collections ({ tasksCollection, bidsCollection, ... }) and
+// ping() (health checks), so the same routes run against MongoDB (index.js) or the in-memory storage (tests).
+// options override what is otherwise read from the environment: outbox (webhook/email settings),
+// logger (lib/logger.js), rateLimits (per route group) and rateLimitStore, corsOrigins, jsonBodyLimit,
+// featuredWeights and featuredCacheTtlMs (lib/featured.js), validateResponses (middleware/openapi.js).
+const createApp = ({ collections, ping }, {
+  outbox = outboxConfigFromEnv(),
+  logger = defaultLogger,
+  rateLimits = {},
+  rateLimitStore,
+  corsOrigins = corsOriginsFromEnv(),
+  jsonBodyLimit = process.env.JSON_BODY_LIMIT || '32kb',
+  featuredWeights = featuredWeightsFromEnv(),
+  featuredCacheTtlMs = featuredCacheTtlFromEnv(),
+  validateResponses = responseValidationFromEnv()
+} = {}) => {
+  const app = express();
+  app.set('trust proxy', trustProxyFromEnv());
+
+  // Middleware
+  app.use(requestLogger(logger));
+  // Requests from other origins get no CORS headers, so browsers refuse to read the responses
+  app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
+  app.use(express.json({ limit: jsonBodyLimit }));
+
+  // Made collections accessible to routes by attaching to app.locals
+  Object.assign(app.locals, collections);
+  app.locals.outboxConfig = outbox;
+  app.locals.rateLimiter = createRateLimiter({ limits: { ...rateLimitsFromEnv(), ...rateLimits }, store: rateLimitStore });
+  app.locals.featuredWeights = featuredWeights;
+  app.locals.featuredCache = createFeaturedCache({ ttlMs: featuredCacheTtlMs });
+  app.locals.openApiSpec = openApiSpec;
+  app.locals.pingDatabase = ping;
+  app.locals.draining = false; // Set by gracefulShutdown (lib/shutdown.js)
+
+  // Basic route to confirm server is running, and whether the database answers
+  app.get('/', async (req, res) => {
+    const { status } = await checkDatabase(app.locals.pingDatabase);
+    const connected = status === 'up';
+    const color = connected ? '#4CAF50' : '#F44336';
+    const htmlResponse = `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>GigConnect Server - Online</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+            margin: 0;
+            padding: 0;
+            display: flex;
+            flex-direction: column; /* Align items vertically */
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); /* Vibrant gradient background */
+            color: #ffffff; /* White text for contrast */
+            text-align: center;
+            overflow: hidden; /* Prevent scrollbars from gradient edges */
+          }
+          .container {
+            text-align: center;
+            padding: 20px; /* Adjusted padding */
+          }
+          h1 {
+            font-size: 5.5rem; /* Larger heading */
+            margin-bottom: 0.5em;
+            font-weight: 300; /* Lighter font weight */
+            letter-spacing: 1px;
+            text-shadow: 2px 2px 4px rgba(0,0,0,0.2); /* Subtle text shadow */
+          }
+          p {
+            font-size: 1.5rem; /* Larger paragraph text */
+            margin-bottom: 1em;
+            font-weight: 300;
+          }
+          .status-dot {
+            height: 15px;
+            width: 15px;
+            background-color: ${color}; /* Green while the database answers, red when it doesn't */
+            border-radius: 50%;
+            display: inline-block;
+            margin-right: 10px;
+            box-shadow: 0 0 20px ${color}, 0 0 40px ${color}; /* Glow effect */
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>GigConnect Server</h1>
+          <p><span class="status-dot"></span>${connected ? 'Online & Connected to the Database.' : 'Online, but the Database is Unavailable.'}</p>
+          <p><small>API Version: v.1.0</small></p>
+        </div>
+      </body>
+      </html>
+    `;
+    res.setHeader('Content-Type', 'text/html');
+    res.status(200).send(htmlResponse);
+  });
+
+  app.use(healthRoutes);
+
+  // Any successful change to tasks or bids makes the cached featured tasks stale
+  app.use('/api/v1', invalidateFeaturedOnWrite(app.locals.featuredCache));
+  // Requests (checked by each route's validateRequest) and, in development and test, responses must
+  // match the OpenAPI document
+  app.use('/api/v1', openApiValidator(app.locals.openApiSpec, { validateResponses, logger }));
+
+  app.use('/api/v1', docsRoutes);
+
+  app.use('/api/v1', taskRoutes);
+  app.use('/api/v1', bidRoutes);
+  app.use('/api/v1', statsRoutes);
+  app.use('/api/v1', notificationRoutes);
+  app.use('/api/v1', messageRoutes);
+  app.use('/api/v1', reviewRoutes);
+
+  // Unmatched routes and every error passed on by a route end up here
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
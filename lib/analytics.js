@@ -0,0 +1,183 @@
+const { allowedCategories } = require('./categories');
+const { TASK_STATUS, BID_STATUS } = require('./lifecycle');
+const { NOT_DELETED } = require('./trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates may be stored as strings or dates; unparseable values count as missing
+const asDate = (field) => ({ $convert: { input: field, to: 'date', onError: null, onNull: null } });
+
+const round2 = (expr) => ({ $round: [expr, 2] });
+
+// Median of an already sorted numeric array expression
+const medianOf = (sortedArray) => ({
+  $let: {
+    vars: { values: sortedArray, size: { $size: sortedArray } },
+    in: {
+      $cond: [
+        { $eq: ['$$size', 0] },
+        null,
+        {
+          $cond: [
+            { $eq: [{ $mod: ['$$size', 2] }, 1] },
+            { $arrayElemAt: ['$$values', { $floor: { $divide: ['$$size', 2] } }] },
+            {
+              $avg: [
+                { $arrayElemAt: ['$$values', { $subtract: [{ $divide: ['$$size', 2] }, 1] }] },
+                { $arrayElemAt: ['$$values', { $divide: ['$$size', 2] }] }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  }
+});
+
+// --- Per-task bid statistics (run on the bids collection) ---
+// Withdrawn bids are left out: they are no longer offers.
+const taskBidStatsPipeline = (task) => [
+  { $match: { taskId: task._id, status: { $ne: BID_STATUS.WITHDRAWN } } },
+  { $sort: { biddingAmount: 1 } },
+  {
+    $group: {
+      _id: null,
+      bidCount: { $sum: 1 },
+      amounts: { $push: '$biddingAmount' },
+      minAmount: { $min: '$biddingAmount' },
+      maxAmount: { $max: '$biddingAmount' },
+      averageAmount: { $avg: '$biddingAmount' },
+      belowBudgetCount: { $sum: { $cond: [{ $lt: ['$biddingAmount', task.budget] }, 1, 0] } },
+      aboveBudgetCount: { $sum: { $cond: [{ $gt: ['$biddingAmount', task.budget] }, 1, 0] } },
+      earliestBidderDeadline: { $min: asDate('$bidderDeadline') },
+      latestBidderDeadline: { $max: asDate('$bidderDeadline') }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      bidCount: 1,
+      amounts: {
+        min: '$minAmount',
+        max: '$maxAmount',
+        average: round2('$averageAmount'),
+        median: medianOf('$amounts')
+      },
+      budgetComparison: {
+        budget: { $literal: task.budget },
+        averageVsBudget: round2({ $subtract: ['$averageAmount', task.budget] }),
+        averageVsBudgetPercent: round2({ $multiply: [{ $divide: [{ $subtract: ['$averageAmount', task.budget] }, task.budget] }, 100] }),
+        belowBudgetCount: '$belowBudgetCount',
+        atBudgetCount: { $subtract: ['$bidCount', { $add: ['$belowBudgetCount', '$aboveBudgetCount'] }] },
+        aboveBudgetCount: '$aboveBudgetCount'
+      },
+      bidderDeadlines: {
+        earliest: '$earliestBidderDeadline',
+        latest: '$latestBidderDeadline',
+        spreadDays: {
+          $cond: [
+            { $and: ['$earliestBidderDeadline', '$latestBidderDeadline'] },
+            round2({ $divide: [{ $subtract: ['$latestBidderDeadline', '$earliestBidderDeadline'] }, DAY_MS] }),
+            null
+          ]
+        }
+      }
+    }
+  }
+];
+
+// Shape returned when a task has no bids yet, so clients always get the same fields
+const emptyTaskBidStats = (task) => ({
+  bidCount: 0,
+  amounts: { min: null, max: null, average: null, median: null },
+  budgetComparison: { budget: task.budget, averageVsBudget: null, averageVsBudgetPercent: null, belowBudgetCount: 0, atBudgetCount: 0, aboveBudgetCount: 0 },
+  bidderDeadlines: { earliest: null, latest: null, spreadDays: null }
+});
+
+// --- Per-user dashboard ---
+
+// Run on the tasks collection
+const userTaskStatsPipeline = (user) => [
+  { $match: { creatorEmail: user.email, ...NOT_DELETED } },
+  {
+    $group: {
+      _id: null,
+      tasksPosted: { $sum: 1 },
+      tasksAwarded: { $sum: { $cond: [{ $in: ['$status', [TASK_STATUS.AWARDED, TASK_STATUS.IN_PROGRESS, TASK_STATUS.COMPLETED]] }, 1, 0] } },
+      tasksCompleted: { $sum: { $cond: [{ $eq: ['$status', TASK_STATUS.COMPLETED] }, 1, 0] } }
+    }
+  },
+  { $project: { _id: 0 } }
+];
+
+// Run on the bids collection
+const userBidStatsPipeline = (user) => [
+  { $match: { bidderEmail: user.email } },
+  {
+    $group: {
+      _id: null,
+      bidsPlaced: { $sum: 1 },
+      bidsPending: { $sum: { $cond: [{ $eq: ['$status', BID_STATUS.PENDING] }, 1, 0] } },
+      bidsAccepted: { $sum: { $cond: [{ $eq: ['$status', BID_STATUS.ACCEPTED] }, 1, 0] } },
+      totalAwardedValue: { $sum: { $cond: [{ $eq: ['$status', BID_STATUS.ACCEPTED] }, '$biddingAmount', 0] } }
+    }
+  },
+  { $project: { _id: 0 } }
+];
+
+const emptyUserStats = {
+  tasksPosted: 0,
+  tasksAwarded: 0,
+  tasksCompleted: 0,
+  bidsPlaced: 0,
+  bidsPending: 0,
+  bidsAccepted: 0,
+  totalAwardedValue: 0
+};
+
+// --- Site-wide stats per category (run on the tasks collection) ---
+const categoryStatsPipeline = () => [
+  { $match: NOT_DELETED },
+  { $lookup: { from: 'bids', localField: '_id', foreignField: 'taskId', as: 'categoryBids' } },
+  {
+    $group: {
+      _id: '$category',
+      taskCount: { $sum: 1 },
+      openTaskCount: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$status', TASK_STATUS.OPEN] }, TASK_STATUS.OPEN] }, 1, 0] } },
+      averageBudget: { $avg: '$budget' },
+      totalBudget: { $sum: '$budget' },
+      bidCount: { $sum: { $size: '$categoryBids' } }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      category: '$_id',
+      taskCount: 1,
+      openTaskCount: 1,
+      averageBudget: round2('$averageBudget'),
+      totalBudget: 1,
+      bidCount: 1,
+      averageBidsPerTask: round2({ $divide: ['$bidCount', '$taskCount'] })
+    }
+  },
+  { $sort: { taskCount: -1, category: 1 } }
+];
+
+// Adds zeroed rows for categories without tasks so the homepage always lists every category
+const withAllCategories = (rows) => [
+  ...rows,
+  ...allowedCategories
+    .filter(category => !rows.some(row => row.category === category))
+    .map(category => ({ category, taskCount: 0, openTaskCount: 0, averageBudget: null, totalBudget: 0, bidCount: 0, averageBidsPerTask: null }))
+];
+
+module.exports = {
+  taskBidStatsPipeline,
+  emptyTaskBidStats,
+  userTaskStatsPipeline,
+  userBidStatsPipeline,
+  emptyUserStats,
+  categoryStatsPipeline,
+  withAllCategories
+};
@@ -0,0 +1,4 @@
+// Categories a task can be posted under; shared by task validation and the browse filters
+const allowedCategories = ['Web Development', 'Graphic Design', 'Digital Marketing', 'Writing & Translation', 'Video & Animation', 'General'];
+
+module.exports = { allowedCategories };
@@ -0,0 +1,23 @@
+// An error that carries its HTTP response: thrown (or passed to next) from a route or middleware, it
+// is answered by the error handler as { error: { code, message, ...extra } } with the given status.
+// extra holds what the client needs beyond the message: the per-field errors of a validation failure
+// ({ errors: [{ field, message }] }), the id of a conflicting bid, and so on.
+class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+// Shorthands for the answers the routes give most often
+const badRequest = (message, extra) => new HttpError(400, 'BAD_REQUEST', message, extra);
+const validationError = (errors, message = 'Validation failed.') => new HttpError(400, 'VALIDATION_FAILED', message, { errors });
+const unauthorized = (message) => new HttpError(401, 'UNAUTHORIZED', message);
+const forbidden = (message = 'You do not have permission to perform this action.') => new HttpError(403, 'FORBIDDEN', message);
+const notFound = (message) => new HttpError(404, 'NOT_FOUND', message);
+const conflict = (message, code = 'CONFLICT', extra) => new HttpError(409, code, message, extra);
+
+module.exports = { HttpError, badRequest, validationError, unauthorized, forbidden, notFound, conflict };
@@ -0,0 +1,152 @@
+const { allowedCategories } = require('./categories');
+const { TASK_STATUS, BID_STATUS } = require('./lifecycle');
+const { NOT_DELETED } = require('./trash');
+
+// --- Featured tasks ranking ---
+// Only open, live tasks whose deadline is still ahead are featured. Each gets a featuredScore:
+// the weighted sum of four signals, each in [0, 1].
+//   budget   log-scaled against BUDGET_REFERENCE (a 5000 budget or more scores 1)
+//   recency  1 when just posted, 0 after RECENCY_WINDOW_DAYS
+//   bids     bidCount / (bidCount + BIDS_HALF_SCORE): some activity helps, but with diminishing returns
+//   urgency  0 when the deadline is URGENCY_WINDOW_DAYS or more away, approaching 1 as it nears
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUDGET_REFERENCE = 5000;
+const RECENCY_WINDOW_DAYS = 14;
+const BIDS_HALF_SCORE = 5;
+const URGENCY_WINDOW_DAYS = 7;
+
+const DEFAULT_WEIGHTS = Object.freeze({ budget: 0.35, recency: 0.2, bids: 0.25, urgency: 0.2 });
+
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 24;
+
+// FEATURED_WEIGHT_BUDGET, FEATURED_WEIGHT_RECENCY, FEATURED_WEIGHT_BIDS, FEATURED_WEIGHT_URGENCY (non-negative)
+const featuredWeightsFromEnv = (env = process.env) => Object.fromEntries(
+  Object.entries(DEFAULT_WEIGHTS).map(([signal, fallback]) => {
+    const value = env[`FEATURED_WEIGHT_${signal.toUpperCase()}`];
+    const weight = Number(value);
+    return [signal, value !== undefined && value !== '' && Number.isFinite(weight) && weight >= 0 ? weight : fallback];
+  })
+);
+
+// Parses ?category=&limit=. Returns { errors } when any value is invalid.
+const parseFeaturedQuery = (query) => {
+  const errors = [];
+  if (query.category !== undefined && !allowedCategories.includes(query.category)) {
+    errors.push({ field: 'category', message: `Unknown category: ${query.category}. Allowed categories are: ${allowedCategories.join(', ')}.` });
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ field: 'limit', message: `limit must be a whole number from 1 to ${MAX_LIMIT}.` });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { category: query.category || null, limit };
+};
+
+const clamp01 = (expression) => ({ $min: [1, { $max: [0, expression] }] });
+
+const buildFeaturedPipeline = ({ category, limit }, { weights = featuredWeightsFromEnv(), now = new Date() } = {}) => [
+  {
+    $match: {
+      ...NOT_DELETED,
+      status: { $in: [TASK_STATUS.OPEN, null] },
+      ...(category ? { category } : {}),
+      deadline: { $gt: now }
+    }
+  },
+  { $lookup: { from: 'bids', localField: '_id', foreignField: 'taskId', as: 'featuredBids' } },
+  {
+    $addFields: {
+      bidCount: { $size: { $filter: { input: '$featuredBids', cond: { $ne: ['$$this.status', BID_STATUS.WITHDRAWN] } } } },
+      createdDate: { $convert: { input: '$createdAt', to: 'date', onError: null, onNull: null } }
+    }
+  },
+  {
+    $addFields: {
+      featuredSignals: {
+        budget: clamp01({ $divide: [{ $ln: { $add: [{ $max: [0, { $ifNull: ['$budget', 0] }] }, 1] } }, Math.log(BUDGET_REFERENCE + 1)] }),
+        recency: {
+          $cond: [
+            { $eq: ['$createdDate', null] },
+            0,
+            clamp01({ $subtract: [1, { $divide: [{ $subtract: [now, '$createdDate'] }, RECENCY_WINDOW_DAYS * DAY_MS] }] })
+          ]
+        },
+        bids: { $divide: ['$bidCount', { $add: ['$bidCount', BIDS_HALF_SCORE] }] },
+        urgency: clamp01({ $subtract: [1, { $divide: [{ $subtract: ['$deadline', now] }, URGENCY_WINDOW_DAYS * DAY_MS] }] })
+      }
+    }
+  },
+  {
+    $addFields: {
+      featuredScore: {
+        $add: Object.entries(weights).map(([signal, weight]) => ({ $multiply: [weight, `$featuredSignals.${signal}`] }))
+      }
+    }
+  },
+  { $sort: { featuredScore: -1, deadline: 1, _id: 1 } },
+  { $limit: limit },
+  { $project: { featuredBids: 0, featuredSignals: 0, createdDate: 0 } }
+];
+
+// --- Cache ---
+// Results are cached per (category, limit) for ttlMs. Any change to tasks or bids invalidates the whole
+// cache; ttlMs only bounds how far the time-based signals (recency, urgency) drift between changes.
+// A result computed across an invalidation is not stored, so a slow read can't reinstate stale data.
+const createFeaturedCache = ({ ttlMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+  let generation = 0;
+
+  return {
+    get generation() {
+      return generation;
+    },
+    get(key, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= now) return undefined;
+      return entry.value;
+    },
+    set(key, value, computedInGeneration, now = Date.now()) {
+      if (computedInGeneration !== generation || ttlMs <= 0) return;
+      entries.set(key, { value, expiresAt: now + ttlMs });
+    },
+    invalidate() {
+      generation += 1;
+      entries.clear();
+    }
+  };
+};
+
+// FEATURED_CACHE_SECONDS (default 60; 0 disables caching)
+const featuredCacheTtlFromEnv = (env = process.env) => {
+  const value = env.FEATURED_CACHE_SECONDS;
+  const seconds = Number(value);
+  return (value !== undefined && value !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+};
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Invalidates the featured cache once a request that changes data has succeeded
+const invalidateFeaturedOnWrite = (cache) => (req, res, next) => {
+  if (WRITE_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) cache.invalidate();
+    });
+  }
+  next();
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  featuredWeightsFromEnv,
+  parseFeaturedQuery,
+  buildFeaturedPipeline,
+  createFeaturedCache,
+  featuredCacheTtlFromEnv,
+  invalidateFeaturedOnWrite
+};
@@ -0,0 +1,26 @@
+// --- Health checks ---
+// Shared by /readyz (routes/health.js) and the home page, so both report the same database state.
+
+// A ping that hangs is treated like a failed one
+const PING_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`The database did not answer within ${ms}ms.`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// pingDatabase is the storage's ping(). Returns { status: 'up', latencyMs, version } or
+// { status: 'down', error }; the error is for the logs, not for the response.
+const checkDatabase = async (pingDatabase, { timeoutMs = PING_TIMEOUT_MS } = {}) => {
+  try {
+    const { latencyMs, version } = await withTimeout(pingDatabase(), timeoutMs);
+    return { status: 'up', latencyMs, version };
+  } catch (error) {
+    return { status: 'down', error };
+  }
+};
+
+module.exports = { checkDatabase };
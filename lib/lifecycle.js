@@ -0,0 +1,52 @@
+// --- Task state machine ---
+// open -> awarded -> in_progress -> completed
+//   \________\___________\_______-> cancelled
+const TASK_STATUS = Object.freeze({
+  OPEN: 'open',
+  AWARDED: 'awarded',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+});
+
+const TASK_TRANSITIONS = Object.freeze({
+  [TASK_STATUS.OPEN]: [TASK_STATUS.AWARDED, TASK_STATUS.CANCELLED],
+  [TASK_STATUS.AWARDED]: [TASK_STATUS.IN_PROGRESS, TASK_STATUS.CANCELLED],
+  [TASK_STATUS.IN_PROGRESS]: [TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED],
+  [TASK_STATUS.COMPLETED]: [],
+  [TASK_STATUS.CANCELLED]: []
+});
+
+// Tasks posted before statuses existed have none; they are still accepting bids
+const getTaskStatus = (task) => task.status || TASK_STATUS.OPEN;
+
+const canTransitionTask = (from, to) => (TASK_TRANSITIONS[from] || []).includes(to);
+
+const isTaskStatus = (value) => Object.values(TASK_STATUS).includes(value);
+
+// Details of a task can be edited until work on it starts; in_progress, completed and cancelled tasks are frozen
+const EDITABLE_TASK_STATUSES = Object.freeze([TASK_STATUS.OPEN, TASK_STATUS.AWARDED]);
+const isTaskEditable = (task) => EDITABLE_TASK_STATUSES.includes(getTaskStatus(task));
+
+// --- Bid statuses ---
+// pending -> accepted | rejected | withdrawn; all three are final.
+// pending | accepted -> task_cancelled when the task is trashed (undone if the task is restored).
+// Cancelling a task rejects its pending bids and moves the accepted one to task_cancelled for good.
+const BID_STATUS = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+  TASK_CANCELLED: 'task_cancelled'
+});
+
+module.exports = {
+  TASK_STATUS,
+  TASK_TRANSITIONS,
+  getTaskStatus,
+  canTransitionTask,
+  isTaskStatus,
+  EDITABLE_TASK_STATUSES,
+  isTaskEditable,
+  BID_STATUS
+};
@@ -0,0 +1,54 @@
+// --- Structured logging ---
+// One JSON object per line: { time, level, msg, ...bindings, ...fields }. Email addresses are masked
+// wherever they appear, so logs can be shipped without leaking who did what.
+
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity });
+const DEFAULT_LEVEL = 'info';
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// "casey@example.com" -> "c***@example.com"
+const redactEmails = (text) => text.replace(EMAIL_PATTERN, '$1***@$2');
+
+// Copies a value for logging: emails masked, errors flattened, ObjectIds and dates as strings
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactEmails(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 8) return '[Truncated]';
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth + 1);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId') return value.toHexString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, depth + 1)]));
+};
+
+const levelFromEnv = (env = process.env) => (LEVELS[env.LOG_LEVEL] !== undefined ? env.LOG_LEVEL : DEFAULT_LEVEL);
+
+// createLogger({ level, stream, bindings }) -> { debug, info, warn, error, child }
+// Each method takes a message and optional fields: logger.info('Task created', { taskId }).
+const createLogger = ({ level = levelFromEnv(), stream = process.stdout, bindings = {} } = {}) => {
+  const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+
+  const write = (entryLevel) => (msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg, ...bindings, ...fields });
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    level,
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    // A logger that adds the given fields to every entry (e.g. the request's correlation ID)
+    child: (extra) => createLogger({ level, stream, bindings: { ...bindings, ...extra } })
+  };
+};
+
+// Shared logger for code that runs outside a request (startup, scheduled jobs)
+const logger = createLogger();
+
+module.exports = { LEVELS, createLogger, redact, redactEmails, logger };
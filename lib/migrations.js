@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Versioned data migrations ---
+// Each file in migrations/ exports { description, up(database, { logger }) }; its file name (without .js)
+// is its id, and files run in name order. Applied migrations are recorded in the "migrations" collection,
+// so every migration runs once per database.
+
+const MIGRATIONS_COLLECTION = 'migrations';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const DUPLICATE_KEY_ERROR = 11000;
+
+const MIGRATION_STATUS = Object.freeze({
+  RUNNING: 'running',
+  APPLIED: 'applied'
+});
+
+// Loads the migrations in dir, sorted by id: [{ id, description, up }]
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter(file => file.endsWith('.js'))
+  .sort()
+  .map(file => ({ id: path.basename(file, '.js'), ...require(path.join(dir, file)) }));
+
+// Every known migration with its record: [{ id, description, status, appliedAt }] (status null when pending)
+const migrationStatus = async (database, migrations = loadMigrations()) => {
+  const records = await database.collection(MIGRATIONS_COLLECTION).find({}).toArray();
+  const byId = new Map(records.map(record => [record._id, record]));
+  return migrations.map(({ id, description }) => ({
+    id,
+    description,
+    status: byId.has(id) ? byId.get(id).status : null,
+    appliedAt: byId.has(id) ? byId.get(id).appliedAt || null : null
+  }));
+};
+
+// Migrations the server can't run without: the queries expect the data shape they produce
+const REQUIRED_MIGRATIONS = ['001-normalize-types'];
+
+// Ids of the required migrations that have not been applied to the database
+const pendingRequiredMigrations = async (database, required = REQUIRED_MIGRATIONS) => (await migrationStatus(database))
+  .filter(migration => required.includes(migration.id) && migration.status !== MIGRATION_STATUS.APPLIED)
+  .map(migration => migration.id);
+
+// Applies pending migrations in order and stops at the first failure. A migration is claimed by
+// inserting its record first, so two runners can't apply the same one; a failed migration's record
+// is removed so it can be retried. Returns { applied: [{ id, result }] }.
+const runMigrations = async (database, { migrations = loadMigrations(), logger, now = () => new Date() } = {}) => {
+  const collection = database.collection(MIGRATIONS_COLLECTION);
+  const applied = [];
+
+  for (const migration of migrations) {
+    const existing = await collection.findOne({ _id: migration.id });
+    if (existing && existing.status === MIGRATION_STATUS.APPLIED) continue;
+    if (existing) {
+      throw new Error(`Migration ${migration.id} is already running (started ${existing.startedAt.toISOString()}). If that run died, delete its record from "${MIGRATIONS_COLLECTION}" and try again.`);
+    }
+
+    try {
+      await collection.insertOne({ _id: migration.id, description: migration.description, status: MIGRATION_STATUS.RUNNING, startedAt: now() });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw new Error(`Migration ${migration.id} was claimed by another runner.`);
+      }
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await migration.up(database, { logger });
+    } catch (error) {
+      await collection.deleteOne({ _id: migration.id, status: MIGRATION_STATUS.RUNNING });
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`, { cause: error });
+    }
+
+    await collection.updateOne(
+      { _id: migration.id },
+      { $set: { status: MIGRATION_STATUS.APPLIED, appliedAt: now(), durationMs: Date.now() - startedAt, result: result === undefined ? null : result } }
+    );
+    applied.push({ id: migration.id, result });
+  }
+  return { applied };
+};
+
+module.exports = {
+  MIGRATIONS_COLLECTION,
+  MIGRATION_STATUS,
+  REQUIRED_MIGRATIONS,
+  loadMigrations,
+  migrationStatus,
+  pendingRequiredMigrations,
+  runMigrations
+};
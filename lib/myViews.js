@@ -0,0 +1,101 @@
+const { BID_STATUS, TASK_STATUS } = require('./lifecycle');
+const { NOT_DELETED } = require('./trash');
+const { parsePagination } = require('./pagination');
+
+// --- GET /api/v1/my-bids ---
+
+// Sort orders accepted by ?sort=
+const MY_BIDS_SORT_OPTIONS = {
+  newest: { bidPlacedAt: -1 },
+  oldest: { bidPlacedAt: 1 },
+  deadline: { 'task.deadline': 1 } // Task deadline, soonest first
+};
+
+// Parses ?status=&sort=&page=&limit=. Returns { errors } when any value is invalid.
+const parseMyBidsQuery = (query) => {
+  const errors = [];
+
+  let statuses = null;
+  if (query.status) {
+    statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !Object.values(BID_STATUS).includes(s));
+    if (unknown.length > 0) {
+      errors.push({ field: 'status', message: `Unknown bid status: ${unknown.join(', ')}. Allowed statuses are: ${Object.values(BID_STATUS).join(', ')}.` });
+    }
+  }
+
+  const sortKey = query.sort || 'newest';
+  if (!MY_BIDS_SORT_OPTIONS[sortKey]) {
+    errors.push({ field: 'sort', message: `Invalid sort. Allowed values are: ${Object.keys(MY_BIDS_SORT_OPTIONS).join(', ')}.` });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { statuses, sortKey, ...parsePagination(query) };
+};
+
+const myBidsFilter = (user, { statuses }) => ({
+  bidderEmail: user.email,
+  ...(statuses ? { status: { $in: statuses } } : {})
+});
+
+// One page of the caller's bids, each joined with a summary of its task (null once the task is purged)
+const buildMyBidsPipeline = (user, parsed) => [
+  { $match: myBidsFilter(user, parsed) },
+  { $lookup: { from: 'tasks', localField: 'taskId', foreignField: '_id', as: 'taskMatches' } },
+  {
+    $addFields: {
+      task: {
+        $let: {
+          vars: { matched: { $arrayElemAt: ['$taskMatches', 0] } },
+          in: {
+            $cond: [
+              { $eq: [{ $type: '$$matched' }, 'missing'] },
+              null,
+              {
+                _id: '$$matched._id',
+                title: '$$matched.title',
+                category: '$$matched.category',
+                budget: '$$matched.budget',
+                deadline: '$$matched.deadline',
+                creatorName: '$$matched.creatorName',
+                status: { $ifNull: ['$$matched.status', TASK_STATUS.OPEN] },
+                deletedAt: { $ifNull: ['$$matched.deletedAt', null] }
+              }
+            ]
+          }
+        }
+      }
+    }
+  },
+  { $project: { taskMatches: 0 } },
+  // _id as a tie-breaker keeps pages stable
+  { $sort: { ...MY_BIDS_SORT_OPTIONS[parsed.sortKey], _id: 1 } },
+  { $skip: parsed.skip },
+  { $limit: parsed.limit }
+];
+
+// --- GET /api/v1/tasks/my-posted-tasks ---
+
+const myPostedTasksFilter = (user) => ({ creatorEmail: user.email, ...NOT_DELETED });
+
+// One page of the caller's tasks, newest first, each with its number of bids
+const buildMyPostedTasksPipeline = (user, { skip, limit }) => [
+  { $match: myPostedTasksFilter(user) },
+  { $sort: { createdAt: -1, _id: 1 } },
+  { $skip: skip },
+  { $limit: limit },
+  { $lookup: { from: 'bids', localField: '_id', foreignField: 'taskId', as: 'taskBids' } },
+  { $addFields: { bidCount: { $size: '$taskBids' } } },
+  { $project: { taskBids: 0 } }
+];
+
+module.exports = {
+  MY_BIDS_SORT_OPTIONS,
+  parseMyBidsQuery,
+  myBidsFilter,
+  buildMyBidsPipeline,
+  myPostedTasksFilter,
+  buildMyPostedTasksPipeline
+};
@@ -0,0 +1,126 @@
+const { ObjectId } = require('mongodb');
+const { TASK_STATUS, BID_STATUS } = require('./lifecycle');
+const { NOT_DELETED } = require('./trash');
+const { outboxConfigFromEnv, outboxEntriesFor } = require('./outbox');
+
+// --- Marketplace events ---
+// Each event becomes one in-app notification per recipient and, when configured, outbox
+// deliveries to webhooks and the email relay (lib/outbox.js).
+const EVENT_TYPES = Object.freeze({
+  BID_PLACED: 'bid_placed',
+  TASK_UPDATED: 'task_updated',
+  TASK_DELETED: 'task_deleted',
+  DEADLINE_APPROACHING: 'deadline_approaching'
+});
+
+// Bids whose bidders still care about the task: they are told when it is edited, trashed or about to close
+const LIVE_BID_STATUSES = [BID_STATUS.PENDING, BID_STATUS.ACCEPTED];
+
+const describeEvent = {
+  [EVENT_TYPES.BID_PLACED]: (task, data) => ({
+    subject: 'New bid on your task',
+    message: `${data.bidderName || 'Someone'} bid ${data.biddingAmount} on "${task.title}".`
+  }),
+  [EVENT_TYPES.TASK_UPDATED]: (task, data) => ({
+    subject: 'A task you bid on was updated',
+    message: `"${task.title}" was updated (${data.changedFields.join(', ')}).`
+  }),
+  [EVENT_TYPES.TASK_DELETED]: (task) => ({
+    subject: 'A task you bid on was removed',
+    message: `"${task.title}" was removed by its creator and your bid was cancelled.`
+  }),
+  [EVENT_TYPES.DEADLINE_APPROACHING]: (task) => ({
+    subject: 'Task deadline approaching',
+    message: `The deadline for "${task.title}" is ${new Date(task.deadline).toISOString().slice(0, 10)}.`
+  })
+};
+
+// Records an event about a task for the given recipients ([{ email }]); duplicates are notified once.
+// Returns { eventId, notified }.
+const recordEvent = async ({ notificationsCollection, outboxCollection }, { type, task, recipients, data = {} }, { config = outboxConfigFromEnv(), now = new Date() } = {}) => {
+  const uniqueRecipients = [...new Map(recipients.filter(r => r && r.email).map(r => [r.email, r])).values()];
+  const { subject, message } = describeEvent[type](task, data);
+  const event = {
+    id: new ObjectId().toHexString(),
+    type,
+    occurredAt: now,
+    task: { _id: task._id, title: task.title },
+    data,
+    recipients: uniqueRecipients.map(r => r.email)
+  };
+
+  if (uniqueRecipients.length > 0) {
+    await notificationsCollection.insertMany(uniqueRecipients.map(recipient => ({
+      recipientEmail: recipient.email,
+      type,
+      eventId: event.id,
+      taskId: task._id,
+      message,
+      data,
+      read: false,
+      readAt: null,
+      createdAt: now
+    })));
+  }
+
+  const emails = Object.fromEntries(uniqueRecipients.map(r => [r.email, { subject, text: message }]));
+  const entries = outboxEntriesFor(event, uniqueRecipients, emails, config, now);
+  if (entries.length > 0) {
+    await outboxCollection.insertMany(entries);
+  }
+  return { eventId: event.id, notified: uniqueRecipients.length };
+};
+
+// Records an event from a route handler; a failure is logged, never surfaced to the caller
+const emitEvent = (req, event) => recordEvent(req.app.locals, event, { config: req.app.locals.outboxConfig })
+  .catch(error => req.log.error('Error recording event', { eventType: event.type, error }));
+
+// Bidders whose bids on the task are still live
+const liveBidders = async (bidsCollection, taskId) => {
+  const bids = await bidsCollection.find({ taskId, status: { $in: LIVE_BID_STATUSES } }).project({ bidderEmail: 1 }).toArray();
+  return bids.map(bid => ({ email: bid.bidderEmail }));
+};
+
+const DEFAULT_REMINDER_HOURS = 24;
+
+const getReminderHours = (env = process.env) => {
+  const hours = Number(env.DEADLINE_REMINDER_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_REMINDER_HOURS;
+};
+
+// Sends one deadline_approaching event per open task whose deadline falls within the next
+// withinHours, to the creator and the live bidders. Returns { tasksNotified }.
+const notifyApproachingDeadlines = async (collections, { withinHours = getReminderHours(), now = new Date(), config } = {}) => {
+  const { tasksCollection, bidsCollection } = collections;
+  const until = new Date(now.getTime() + withinHours * 60 * 60 * 1000);
+  const dueTasks = await tasksCollection.find({
+    ...NOT_DELETED,
+    status: { $in: [TASK_STATUS.OPEN, null] },
+    deadlineReminderSentAt: null,
+    deadline: { $gte: now, $lte: until }
+  }).toArray();
+
+  let tasksNotified = 0;
+  for (const task of dueTasks) {
+    // Marked first so overlapping runs remind each task only once
+    const claim = await tasksCollection.updateOne(
+      { _id: task._id, deadlineReminderSentAt: null },
+      { $set: { deadlineReminderSentAt: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const recipients = [{ email: task.creatorEmail }, ...await liveBidders(bidsCollection, task._id)];
+    await recordEvent(collections, { type: EVENT_TYPES.DEADLINE_APPROACHING, task, recipients, data: { deadline: task.deadline } }, { config, now });
+    tasksNotified += 1;
+  }
+  return { tasksNotified };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  emitEvent,
+  liveBidders,
+  getReminderHours,
+  notifyApproachingDeadlines
+};
@@ -0,0 +1,646 @@
+const { version } = require('../package.json');
+const { allowedCategories } = require('./categories');
+const { TASK_STATUS, BID_STATUS } = require('./lifecycle');
+const { taskSchema, bidSchema, messageSchema, reviewSchema } = require('./schemas');
+const { toOpenApiSchema } = require('./validation');
+const { SORT_OPTIONS } = require('./taskQuery');
+const { MY_BIDS_SORT_OPTIONS } = require('./myViews');
+const { DEFAULT_LIMIT: DEFAULT_FEATURED_LIMIT, MAX_LIMIT: MAX_FEATURED_LIMIT } = require('./featured');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination');
+const { EVENT_TYPES } = require('./notifications');
+const { THREAD_ROLES, ARCHIVE_REASONS } = require('./threads');
+const { REVIEWER_ROLES } = require('./reviews');
+
+// --- OpenAPI document ---
+// Describes every /api/v1 route. Request bodies are generated from the declarative schemas in
+// lib/schemas.js, enums from the constants the routes use, so the document follows the code.
+// middleware/openapi.js validates requests (and, in development and test, responses) against it.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const ObjectId = ref('ObjectId');
+const DateTime = ref('DateTime');
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+
+// "a,b" lists of the given values, as split by the query parsers
+const commaListPattern = (values) => {
+  const one = `(?:${values.map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`;
+  return `^\\s*${one}\\s*(?:,\\s*${one}\\s*)*$`;
+};
+
+// --- Schemas ---
+
+const bidInputDeadline = (schema) => {
+  const { bidderDeadline } = schema.properties;
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      proposedDeadline: { ...bidderDeadline, description: 'When the bidder proposes to deliver' },
+      bidderDeadline: { ...bidderDeadline, description: 'Older name of proposedDeadline, used when proposedDeadline is not sent', deprecated: true }
+    }
+  };
+};
+
+const schemas = {
+  ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'A MongoDB ObjectId' },
+  DateTime: { type: 'string', format: 'date-time' },
+
+  TaskInput: toOpenApiSchema(taskSchema, { optional: ['creatorName'] }),
+  TaskUpdate: toOpenApiSchema(taskSchema, { partial: true }),
+  TaskStatusInput: object({ status: { type: 'string', enum: Object.values(TASK_STATUS).filter(status => status !== TASK_STATUS.AWARDED) } }),
+  BidInput: bidInputDeadline(toOpenApiSchema(bidSchema)),
+  BidUpdate: bidInputDeadline(toOpenApiSchema(bidSchema, { partial: true })),
+  MessageInput: toOpenApiSchema(messageSchema),
+  ReviewInput: toOpenApiSchema(reviewSchema),
+
+  Task: object({
+    _id: ObjectId,
+    title: string,
+    category: string,
+    budget: number,
+    deadline: DateTime,
+    description: string,
+    creatorEmail: string,
+    creatorUid: string,
+    creatorName: nullable(string),
+    status: { type: 'string', enum: Object.values(TASK_STATUS) },
+    createdAt: DateTime,
+    updatedAt: DateTime,
+    awardedBidId: ObjectId,
+    awardedTo: object({ email: string, uid: nullable(string), name: nullable(string) }, ['email']),
+    awardedAt: DateTime,
+    deletedAt: nullable(DateTime)
+  }, ['_id', 'title', 'category', 'budget', 'deadline', 'description', 'creatorEmail']),
+  TaskListItem: { allOf: [ref('Task'), object({ bidCount: integer })] },
+  TaskSearchResult: {
+    allOf: [ref('Task'), object({ bidCount: integer, score: number }, [])],
+    description: 'bidCount is included with sort=most_bids, the text score with sort=relevance'
+  },
+  FeaturedTask: { allOf: [ref('TaskListItem'), object({ featuredScore: { type: 'number', minimum: 0 } })] },
+  TaskDetail: {
+    allOf: [ref('Task'), object({ bids: arrayOf(ref('Bid')), bidCount: integer })],
+    description: 'The creator sees every bid, a bidder only their own, anyone else none; bidCount always counts them all'
+  },
+  TrashedTask: { allOf: [ref('Task'), object({ deletedAt: DateTime, purgeAt: DateTime })] },
+  TaskSummary: object({
+    _id: ObjectId,
+    title: string,
+    category: string,
+    budget: number,
+    deadline: DateTime,
+    creatorName: nullable(string),
+    status: { type: 'string', enum: Object.values(TASK_STATUS) },
+    deletedAt: nullable(DateTime)
+  }, ['_id', 'title', 'status']),
+
+  Bid: object({
+    _id: ObjectId,
+    taskId: ObjectId,
+    bidderEmail: string,
+    bidderUid: string,
+    bidderName: nullable(string),
+    biddingAmount: number,
+    bidderDeadline: nullable(DateTime),
+    comment: nullable(string),
+    status: { type: 'string', enum: Object.values(BID_STATUS) },
+    bidPlacedAt: DateTime,
+    updatedAt: DateTime,
+    decidedAt: DateTime,
+    withdrawnAt: DateTime,
+    revisions: arrayOf(object({
+      biddingAmount: nullable(number),
+      bidderDeadline: nullable(DateTime),
+      comment: nullable(string),
+      changedFields: arrayOf(string),
+      revisedAt: DateTime
+    }, ['changedFields', 'revisedAt']))
+  }, ['_id', 'taskId', 'bidderEmail', 'biddingAmount', 'status']),
+  BidWithReputation: { allOf: [ref('Bid'), object({ bidderReputation: ref('Reputation') })] },
+  MyBid: { allOf: [ref('Bid'), object({ task: { ...nullable(ref('TaskSummary')), description: 'null once the task is purged' } })] },
+
+  Reputation: object({
+    averageRating: { ...nullable({ type: 'number', minimum: 1, maximum: 5 }), description: 'null until the first review' },
+    reviewCount: integer,
+    completedTasks: { ...integer, description: 'Completed tasks the user posted or was awarded' }
+  }),
+  Review: object({
+    _id: ObjectId,
+    taskId: ObjectId,
+    taskTitle: string,
+    reviewerUid: string,
+    reviewerName: nullable(string),
+    reviewerRole: { type: 'string', enum: Object.values(REVIEWER_ROLES) },
+    revieweeUid: nullable(string),
+    revieweeName: nullable(string),
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: string,
+    createdAt: DateTime
+  }, ['_id', 'taskId', 'reviewerRole', 'rating', 'comment', 'createdAt']),
+  Profile: object({
+    uid: string,
+    name: nullable(string),
+    reputation: ref('Reputation'),
+    recentReviews: arrayOf(ref('Review'))
+  }),
+
+  Notification: object({
+    _id: ObjectId,
+    recipientEmail: string,
+    type: { type: 'string', enum: Object.values(EVENT_TYPES) },
+    eventId: string,
+    taskId: ObjectId,
+    message: string,
+    data: { type: 'object' },
+    read: { type: 'boolean' },
+    readAt: nullable(DateTime),
+    createdAt: DateTime
+  }),
+
+  Thread: object({
+    _id: ObjectId,
+    taskId: ObjectId,
+    bidId: ObjectId,
+    bidderEmail: string,
+    creatorEmail: string,
+    role: { type: 'string', enum: Object.values(THREAD_ROLES), description: 'The caller\'s side of the thread' },
+    unreadCount: { ...integer, description: 'Messages the caller has not read' },
+    messageCount: integer,
+    lastMessage: object({ senderRole: { type: 'string', enum: Object.values(THREAD_ROLES) }, preview: string }),
+    lastMessageAt: DateTime,
+    archivedAt: nullable(DateTime),
+    archivedReason: nullable({ type: 'string', enum: Object.values(ARCHIVE_REASONS) }),
+    createdAt: DateTime,
+    task: { ...nullable(object({ _id: ObjectId, title: string, status: nullable(string) }, ['_id', 'title'])), description: 'In GET /threads only' }
+  }, ['_id', 'taskId', 'bidderEmail', 'creatorEmail', 'role', 'unreadCount', 'messageCount', 'lastMessageAt', 'archivedAt', 'archivedReason']),
+  ThreadMessage: object({
+    _id: ObjectId,
+    threadId: ObjectId,
+    taskId: ObjectId,
+    senderEmail: string,
+    senderName: nullable(string),
+    senderRole: { type: 'string', enum: Object.values(THREAD_ROLES) },
+    text: string,
+    createdAt: DateTime
+  }),
+
+  TaskBidStats: object({
+    taskId: ObjectId,
+    bidCount: integer,
+    amounts: object({ min: nullable(number), max: nullable(number), average: nullable(number), median: nullable(number) }),
+    budgetComparison: object({
+      budget: number,
+      averageVsBudget: nullable(number),
+      averageVsBudgetPercent: nullable(number),
+      belowBudgetCount: integer,
+      atBudgetCount: integer,
+      aboveBudgetCount: integer
+    }),
+    bidderDeadlines: object({ earliest: nullable(DateTime), latest: nullable(DateTime), spreadDays: nullable(number) })
+  }),
+  UserStats: object({
+    tasksPosted: integer,
+    tasksAwarded: integer,
+    tasksCompleted: integer,
+    bidsPlaced: integer,
+    bidsPending: integer,
+    bidsAccepted: integer,
+    totalAwardedValue: number
+  }),
+  CategoryStats: object({
+    category: string,
+    taskCount: integer,
+    openTaskCount: integer,
+    averageBudget: nullable(number),
+    totalBudget: number,
+    bidCount: integer,
+    averageBidsPerTask: nullable(number)
+  }),
+
+  // Every error, from a route or the error handler (lib/errors.js). errors lists the fields of a
+  // validation failure; bidId (DUPLICATE_BID) and archivedReason (THREAD_ARCHIVED) name what clashed;
+  // details only appears on 500s in development.
+  ErrorResponse: object({
+    error: object({
+      code: string,
+      message: string,
+      errors: arrayOf(object({ field: string, message: string }, ['message'])),
+      bidId: ref('ObjectId'),
+      archivedReason: { type: 'string', enum: Object.values(ARCHIVE_REASONS) },
+      details: { type: 'object' }
+    }, ['code', 'message'])
+  })
+};
+
+// --- Parameters and responses ---
+
+const pathId = (name, description) => ({ name, in: 'path', required: true, description, schema: ObjectId });
+const query = (name, schema, description) => ({ name, in: 'query', required: false, ...(description ? { description } : {}), schema });
+
+const pageParameters = [
+  query('page', { type: 'integer' }, 'Page number, from 1'),
+  query('limit', { type: 'integer' }, `Page size, ${DEFAULT_LIMIT} by default and at most ${MAX_LIMIT}`)
+];
+const pageOf = (itemsKey, totalKey, item, extra = {}) => object({
+  [itemsKey]: arrayOf(item),
+  [totalKey]: integer,
+  ...extra,
+  totalPages: integer,
+  currentPage: integer
+});
+
+const error = (description) => ({ description, content: json(ref('ErrorResponse')) });
+const responses = {
+  BadRequest: error('Invalid request'),
+  Unauthorized: error('Missing, invalid or expired token'),
+  Forbidden: error('The caller may not do this'),
+  NotFound: error('Not found'),
+  Conflict: error('Not allowed in the current state'),
+  TooManyRequests: {
+    description: 'Rate limited',
+    headers: { 'Retry-After': { description: 'Seconds until the next request may pass', schema: integer } },
+    content: json(ref('ErrorResponse'))
+  },
+  Error: error('Unexpected error')
+};
+const use = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const ok = (schema, description = 'OK') => ({ description, content: json(schema) });
+const messageWith = (properties = {}) => object({ message: string, ...properties });
+
+const AUTH = [{ bearerAuth: [] }];
+const OPTIONAL_AUTH = [{}, { bearerAuth: [] }];
+
+// Every operation may fail unexpectedly; authenticated ones add 401, rate limited ones 429
+const operation = ({ auth, rateLimited, body, responses: own, ...rest }) => ({
+  ...rest,
+  ...(auth ? { security: auth === 'optional' ? OPTIONAL_AUTH : AUTH } : {}),
+  ...(body ? { requestBody: { required: true, content: json(ref(body)) } } : {}),
+  responses: {
+    ...own,
+    ...(auth === true ? { 401: use('Unauthorized') } : {}),
+    ...(rateLimited ? { 429: use('TooManyRequests') } : {}),
+    default: use('Error')
+  }
+});
+
+const taskIdParameter = pathId('taskId', 'Task ID');
+const bidIdParameter = pathId('bidId', 'Bid ID');
+
+const paths = {
+  '/tasks': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'Browse live tasks',
+      parameters: [
+        query('category', { type: 'string', pattern: commaListPattern(allowedCategories) }, 'One or more categories, comma-separated'),
+        query('minBudget', number),
+        query('maxBudget', number),
+        query('deadlineFrom', string, 'A date or ISO timestamp'),
+        query('deadlineTo', string, 'A date or ISO timestamp'),
+        query('search', string, 'Words to look for in the title and description'),
+        query('sort', { type: 'string', enum: Object.keys(SORT_OPTIONS) }, 'deadline by default, relevance when searching'),
+        ...pageParameters
+      ],
+      responses: { 200: ok(pageOf('tasks', 'totalTasks', ref('TaskSearchResult'))), 400: use('BadRequest') }
+    }),
+    post: operation({
+      tags: ['Tasks'],
+      summary: 'Post a task',
+      auth: true,
+      rateLimited: true,
+      body: 'TaskInput',
+      responses: { 201: ok(messageWith({ taskId: ObjectId }), 'Created'), 400: use('BadRequest') }
+    })
+  },
+  '/tasks/my-posted-tasks': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'The caller\'s tasks, newest first',
+      auth: true,
+      parameters: pageParameters,
+      responses: { 200: ok(pageOf('tasks', 'totalTasks', ref('TaskListItem'))) }
+    })
+  },
+  '/tasks/trash': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'The caller\'s trashed tasks with their purge dates',
+      auth: true,
+      responses: { 200: ok(arrayOf(ref('TrashedTask'))) }
+    })
+  },
+  '/featured-tasks': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'Open tasks ranked by budget, recency, bids and urgency',
+      parameters: [
+        query('category', { type: 'string', enum: allowedCategories }),
+        query('limit', { type: 'integer', minimum: 1, maximum: MAX_FEATURED_LIMIT }, `${DEFAULT_FEATURED_LIMIT} by default`)
+      ],
+      responses: { 200: ok(arrayOf(ref('FeaturedTask'))), 400: use('BadRequest') }
+    })
+  },
+  '/tasks/{id}': {
+    parameters: [pathId('id', 'Task ID')],
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'A task with the bids the caller may see',
+      auth: 'optional',
+      responses: { 200: ok(ref('TaskDetail')), 400: use('BadRequest'), 404: use('NotFound') }
+    }),
+    put: operation({
+      tags: ['Tasks'],
+      summary: 'Edit a task (creator only)',
+      auth: true,
+      rateLimited: true,
+      body: 'TaskUpdate',
+      responses: {
+        200: ok(messageWith({ modifiedCount: integer })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound')
+      }
+    }),
+    delete: operation({
+      tags: ['Tasks'],
+      summary: 'Move a task to the trash (creator only)',
+      auth: true,
+      rateLimited: true,
+      responses: { 204: { description: 'Trashed' }, 400: use('BadRequest'), 403: use('Forbidden'), 404: use('NotFound') }
+    })
+  },
+  '/tasks/{id}/restore': {
+    parameters: [pathId('id', 'Task ID')],
+    post: operation({
+      tags: ['Tasks'],
+      summary: 'Restore a trashed task (creator only)',
+      auth: true,
+      rateLimited: true,
+      responses: {
+        200: ok(messageWith({ bidsRestored: integer })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound')
+      }
+    })
+  },
+  '/tasks/{id}/status': {
+    parameters: [pathId('id', 'Task ID')],
+    patch: operation({
+      tags: ['Tasks'],
+      summary: 'Move a task along its lifecycle (creator only); awarding goes through accepting a bid',
+      auth: true,
+      rateLimited: true,
+      body: 'TaskStatusInput',
+      responses: {
+        200: ok(messageWith({ previousStatus: string, status: string })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/tasks/{id}/stats': {
+    parameters: [pathId('id', 'Task ID')],
+    get: operation({
+      tags: ['Statistics'],
+      summary: 'Bid statistics for a task (creator only)',
+      auth: true,
+      responses: { 200: ok(ref('TaskBidStats')), 400: use('BadRequest'), 403: use('Forbidden'), 404: use('NotFound') }
+    })
+  },
+  '/my-stats': {
+    get: operation({ tags: ['Statistics'], summary: 'The caller\'s dashboard totals', auth: true, responses: { 200: ok(ref('UserStats')) } })
+  },
+  '/stats/categories': {
+    get: operation({ tags: ['Statistics'], summary: 'Site-wide statistics per category', responses: { 200: ok(arrayOf(ref('CategoryStats'))) } })
+  },
+  '/tasks/{taskId}/bids': {
+    parameters: [taskIdParameter],
+    get: operation({
+      tags: ['Bids'],
+      summary: 'Bids on a task: every bid for the creator, their own for a bidder, only the count for anyone else',
+      auth: 'optional',
+      responses: {
+        200: ok({ anyOf: [arrayOf(ref('BidWithReputation')), object({ bidCount: integer })] }),
+        400: use('BadRequest'),
+        404: use('NotFound')
+      }
+    }),
+    post: operation({
+      tags: ['Bids'],
+      summary: 'Bid on an open task',
+      auth: true,
+      rateLimited: true,
+      body: 'BidInput',
+      responses: {
+        201: ok(messageWith({ bidId: ObjectId }), 'Created'),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/tasks/{taskId}/bids/{bidId}': {
+    parameters: [taskIdParameter, bidIdParameter],
+    patch: operation({
+      tags: ['Bids'],
+      summary: 'Revise the caller\'s pending bid',
+      auth: true,
+      rateLimited: true,
+      body: 'BidUpdate',
+      responses: {
+        200: ok(messageWith({ changedFields: arrayOf(string), revisionCount: integer })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/tasks/{taskId}/bids/{bidId}/accept': {
+    parameters: [taskIdParameter, bidIdParameter],
+    post: operation({
+      tags: ['Bids'],
+      summary: 'Award the task to this bid and reject the other pending bids (creator only)',
+      auth: true,
+      rateLimited: true,
+      responses: {
+        200: ok(messageWith({ taskStatus: string, rejectedCount: integer })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/tasks/{taskId}/bids/{bidId}/reject': {
+    parameters: [taskIdParameter, bidIdParameter],
+    post: operation({
+      tags: ['Bids'],
+      summary: 'Reject a pending bid (creator only)',
+      auth: true,
+      rateLimited: true,
+      responses: {
+        200: ok(messageWith({ bidStatus: string })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/tasks/{taskId}/bids/{bidId}/withdraw': {
+    parameters: [taskIdParameter, bidIdParameter],
+    post: operation({
+      tags: ['Bids'],
+      summary: 'Withdraw the caller\'s pending bid',
+      auth: true,
+      rateLimited: true,
+      responses: {
+        200: ok(messageWith({ bidStatus: string })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/my-bids': {
+    get: operation({
+      tags: ['Bids'],
+      summary: 'The caller\'s bids, each with a summary of its task',
+      auth: true,
+      parameters: [
+        query('status', { type: 'string', pattern: commaListPattern(Object.values(BID_STATUS)) }, 'One or more bid statuses, comma-separated'),
+        query('sort', { type: 'string', enum: Object.keys(MY_BIDS_SORT_OPTIONS) }, 'newest by default'),
+        ...pageParameters
+      ],
+      responses: { 200: ok(pageOf('bids', 'totalBids', ref('MyBid'))), 400: use('BadRequest') }
+    })
+  },
+  '/tasks/{taskId}/bids/{bidId}/messages': {
+    parameters: [taskIdParameter, bidIdParameter],
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Messages between the task creator and this bidder, newest first; the first page marks the thread read',
+      auth: true,
+      parameters: [
+        query('before', string, 'nextCursor of the previous page'),
+        query('limit', { type: 'integer' }, `Page size, ${DEFAULT_LIMIT} by default and at most ${MAX_LIMIT}`)
+      ],
+      responses: {
+        200: ok(object({ thread: nullable(ref('Thread')), messages: arrayOf(ref('ThreadMessage')), nextCursor: nullable(string) })),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound')
+      }
+    }),
+    post: operation({
+      tags: ['Messages'],
+      summary: 'Post to the thread between the task creator and this bidder',
+      auth: true,
+      rateLimited: true,
+      body: 'MessageInput',
+      responses: {
+        201: ok(messageWith({ messageId: ObjectId, threadId: ObjectId }), 'Created'),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/threads': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'The caller\'s threads, most recently active first',
+      auth: true,
+      parameters: [query('archived', { type: 'string', enum: ['true', 'false'] }), ...pageParameters],
+      responses: { 200: ok(pageOf('threads', 'totalThreads', ref('Thread'), { unreadCount: integer })), 400: use('BadRequest') }
+    })
+  },
+  '/notifications': {
+    get: operation({
+      tags: ['Notifications'],
+      summary: 'The caller\'s notifications, newest first',
+      auth: true,
+      parameters: [query('unread', { type: 'string', enum: ['true', 'false'] }, 'true for unread notifications only'), ...pageParameters],
+      responses: { 200: ok(pageOf('notifications', 'totalNotifications', ref('Notification'), { unreadCount: integer })) }
+    })
+  },
+  '/notifications/read-all': {
+    post: operation({
+      tags: ['Notifications'],
+      summary: 'Mark all of the caller\'s notifications read',
+      auth: true,
+      rateLimited: true,
+      responses: { 200: ok(messageWith({ modifiedCount: integer })) }
+    })
+  },
+  '/notifications/{id}/read': {
+    parameters: [pathId('id', 'Notification ID')],
+    post: operation({
+      tags: ['Notifications'],
+      summary: 'Mark one of the caller\'s notifications read',
+      auth: true,
+      rateLimited: true,
+      responses: { 200: ok(messageWith()), 400: use('BadRequest'), 404: use('NotFound') }
+    })
+  },
+  '/tasks/{taskId}/reviews': {
+    parameters: [taskIdParameter],
+    post: operation({
+      tags: ['Reviews'],
+      summary: 'Review the other party of a completed task',
+      auth: true,
+      rateLimited: true,
+      body: 'ReviewInput',
+      responses: {
+        201: ok(messageWith({ reviewId: ObjectId }), 'Created'),
+        400: use('BadRequest'),
+        403: use('Forbidden'),
+        404: use('NotFound'),
+        409: use('Conflict')
+      }
+    })
+  },
+  '/users/{uid}/profile': {
+    parameters: [{ name: 'uid', in: 'path', required: true, description: 'User ID', schema: string }],
+    get: operation({
+      tags: ['Reviews'],
+      summary: 'A user\'s public profile and reputation',
+      responses: { 200: ok(ref('Profile')), 404: use('NotFound') }
+    })
+  }
+};
+
+const buildOpenApiSpec = () => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'GigConnect API',
+    version,
+    description: 'Tasks, bids, messages and reviews for the GigConnect marketplace.'
+  },
+  servers: [{ url: '/api/v1' }],
+  tags: ['Tasks', 'Bids', 'Messages', 'Reviews', 'Notifications', 'Statistics'].map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'A Firebase ID token, or a local token when JWT_SECRET is set' }
+    },
+    schemas,
+    responses
+  }
+});
+
+module.exports = { buildOpenApiSpec };
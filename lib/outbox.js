@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// --- Outbox: webhook and email deliveries for marketplace events ---
+// Events are queued in the outbox collection by recordEvent (lib/notifications.js) and delivered
+// later by deliverOutbox, so a slow or failing receiver never holds up an API request.
+
+const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed' // Gave up after maxAttempts
+});
+
+const CHANNELS = Object.freeze({
+  WEBHOOK: 'webhook',
+  EMAIL: 'email'
+});
+
+const SIGNATURE_HEADER = 'X-GigConnect-Signature';
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// How long a delivery attempt holds an entry before another worker may pick it up again
+const CLAIM_MS = 60 * 1000;
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// WEBHOOK_URLS (comma-separated) receive every event; EMAIL_RELAY_URL receives one email per recipient.
+// Both are signed with WEBHOOK_SECRET, which is required as soon as either is set.
+const outboxConfigFromEnv = (env = process.env) => {
+  const config = {
+    webhookUrls: splitList(env.WEBHOOK_URLS),
+    emailRelayUrl: env.EMAIL_RELAY_URL || null,
+    secret: env.WEBHOOK_SECRET || '',
+    maxAttempts: positiveNumber(env.OUTBOX_MAX_ATTEMPTS, 5),
+    retryBaseSeconds: positiveNumber(env.OUTBOX_RETRY_BASE_SECONDS, 30)
+  };
+  if ((config.webhookUrls.length > 0 || config.emailRelayUrl) && !config.secret) {
+    throw new Error('WEBHOOK_SECRET must be set when WEBHOOK_URLS or EMAIL_RELAY_URL is; deliveries are always signed.');
+  }
+  return config;
+};
+
+// HMAC-SHA256 of the raw request body, sent as "sha256=<hex>" so receivers can verify the sender
+const signPayload = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Builds the outbox entries for one event: one per webhook URL, plus one email per recipient
+const outboxEntriesFor = (event, recipients, emails, config, now) => {
+  const base = { eventId: event.id, eventType: event.type, status: OUTBOX_STATUS.PENDING, attempts: 0, nextAttemptAt: now, lastError: null, createdAt: now };
+
+  const webhooks = config.webhookUrls.map(url => ({ ...base, channel: CHANNELS.WEBHOOK, url, payload: event }));
+  const emailEntries = config.emailRelayUrl
+    ? recipients.map(recipient => ({
+      ...base,
+      channel: CHANNELS.EMAIL,
+      url: config.emailRelayUrl,
+      payload: { to: recipient.email, ...emails[recipient.email], eventId: event.id, eventType: event.type }
+    }))
+    : [];
+  return [...webhooks, ...emailEntries];
+};
+
+// Waits twice as long after each failed attempt: 30s, 60s, 120s, ... with the default base
+const nextRetryAt = (attempts, config, now) => new Date(now.getTime() + config.retryBaseSeconds * 1000 * 2 ** (attempts - 1));
+
+const postEntry = async (entry, config, fetchImpl) => {
+  if (!config.secret) {
+    throw new Error('No WEBHOOK_SECRET to sign the delivery with');
+  }
+  const body = JSON.stringify(entry.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-GigConnect-Event': entry.eventType,
+    'X-GigConnect-Delivery': String(entry._id),
+    [SIGNATURE_HEADER]: signPayload(body, config.secret)
+  };
+
+  const response = await fetchImpl(entry.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Receiver answered ${response.status}`);
+  }
+};
+
+// Delivers due outbox entries. Failed attempts are retried with exponential backoff until
+// maxAttempts, after which the entry is marked failed. Returns { delivered, retrying, failed }.
+const deliverOutbox = async ({ outboxCollection }, { config = outboxConfigFromEnv(), now = new Date(), batchSize = 50, fetchImpl = fetch } = {}) => {
+  const result = { delivered: 0, retrying: 0, failed: 0 };
+  const due = await outboxCollection
+    .find({ status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(batchSize)
+    .toArray();
+
+  for (const entry of due) {
+    // Claimed by pushing nextAttemptAt forward; a concurrent worker that read the same entry matches nothing
+    const claim = await outboxCollection.updateOne(
+      { _id: entry._id, status: OUTBOX_STATUS.PENDING, nextAttemptAt: entry.nextAttemptAt },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const attempts = entry.attempts + 1;
+    try {
+      await postEntry(entry, config, fetchImpl);
+      await outboxCollection.updateOne(
+        { _id: entry._id },
+        { $set: { status: OUTBOX_STATUS.DELIVERED, attempts, deliveredAt: new Date(), lastError: null } }
+      );
+      result.delivered += 1;
+    } catch (error) {
+      const gaveUp = attempts >= config.maxAttempts;
+      await outboxCollection.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: gaveUp ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: gaveUp ? null : nextRetryAt(attempts, config, now)
+          }
+        }
+      );
+      result[gaveUp ? 'failed' : 'retrying'] += 1;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  OUTBOX_STATUS,
+  CHANNELS,
+  SIGNATURE_HEADER,
+  outboxConfigFromEnv,
+  signPayload,
+  outboxEntriesFor,
+  deliverOutbox
+};
@@ -0,0 +1,17 @@
+// Page/limit handling shared by every paginated list (GET /api/v1/tasks, my-posted-tasks, my-bids)
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1); // Default to page 1
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT); // Default to 10 per page
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Pagination metadata in the shape GET /api/v1/tasks has always returned
+const pageMeta = (total, { page, limit }) => ({
+  totalPages: Math.ceil(total / limit),
+  currentPage: page
+});
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parsePagination, pageMeta };
@@ -0,0 +1,86 @@
+const { TASK_STATUS } = require('./lifecycle');
+const { NOT_DELETED } = require('./trash');
+
+// --- Reviews ---
+// Once a task is completed its creator and the awarded bidder may each review the other once:
+// a whole-number rating from 1 to 5 and a text review. Reviews are kept when the task is purged;
+// they carry the task's title for that reason.
+
+const REVIEWER_ROLES = Object.freeze({ CREATOR: 'creator', FREELANCER: 'freelancer' });
+
+// Who the caller reviews on this task, or null when they didn't take part in it
+const reviewTargetFor = (task, user) => {
+  if (!user || !task.awardedTo) return null;
+  if (task.creatorEmail === user.email) {
+    return { role: REVIEWER_ROLES.CREATOR, reviewee: { email: task.awardedTo.email, uid: task.awardedTo.uid, name: task.awardedTo.name } };
+  }
+  if (task.awardedTo.email === user.email) {
+    return { role: REVIEWER_ROLES.FREELANCER, reviewee: { email: task.creatorEmail, uid: task.creatorUid, name: task.creatorName } };
+  }
+  return null;
+};
+
+// A review as the public sees it: no email addresses
+const presentReview = ({ reviewerEmail, revieweeEmail, ...review }) => review;
+
+// --- Reputation ---
+// { averageRating, reviewCount, completedTasks } per user. completedTasks counts completed tasks the
+// user posted or was awarded; averageRating is null until the first review.
+
+const emptyReputation = () => ({ averageRating: null, reviewCount: 0, completedTasks: 0 });
+
+// Returns a Map of email -> reputation for the given users
+const reputationFor = async ({ tasksCollection, reviewsCollection }, emails) => {
+  const unique = [...new Set(emails.filter(Boolean))];
+  const reputations = new Map(unique.map(email => [email, emptyReputation()]));
+  if (unique.length === 0) return reputations;
+
+  const completed = { ...NOT_DELETED, status: TASK_STATUS.COMPLETED };
+  const [ratings, posted, awarded] = await Promise.all([
+    reviewsCollection.aggregate([
+      { $match: { revieweeEmail: { $in: unique } } },
+      { $group: { _id: '$revieweeEmail', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+    ]).toArray(),
+    tasksCollection.aggregate([
+      { $match: { ...completed, creatorEmail: { $in: unique } } },
+      { $group: { _id: '$creatorEmail', count: { $sum: 1 } } }
+    ]).toArray(),
+    tasksCollection.aggregate([
+      { $match: { ...completed, 'awardedTo.email': { $in: unique } } },
+      { $group: { _id: '$awardedTo.email', count: { $sum: 1 } } }
+    ]).toArray()
+  ]);
+
+  for (const { _id, averageRating, reviewCount } of ratings) {
+    Object.assign(reputations.get(_id), { averageRating: Math.round(averageRating * 100) / 100, reviewCount });
+  }
+  for (const { _id, count } of [...posted, ...awarded]) {
+    reputations.get(_id).completedTasks += count;
+  }
+  return reputations;
+};
+
+// Finds the email and latest display name behind a uid, from the tasks and bids the user has posted.
+// Returns null for a uid that has never posted either.
+const findUserByUid = async ({ tasksCollection, bidsCollection }, uid) => {
+  const [task, bid] = await Promise.all([
+    tasksCollection.find({ creatorUid: uid }).sort({ createdAt: -1 }).limit(1).toArray(),
+    bidsCollection.find({ bidderUid: uid }).sort({ bidPlacedAt: -1 }).limit(1).toArray()
+  ]);
+  const latestTask = task[0];
+  const latestBid = bid[0];
+  if (!latestTask && !latestBid) return null;
+
+  const useBid = latestBid && (!latestTask || latestBid.bidPlacedAt > latestTask.createdAt);
+  return useBid
+    ? { uid, email: latestBid.bidderEmail, name: latestBid.bidderName || null }
+    : { uid, email: latestTask.creatorEmail, name: latestTask.creatorName || null };
+};
+
+module.exports = {
+  REVIEWER_ROLES,
+  reviewTargetFor,
+  presentReview,
+  reputationFor,
+  findUserByUid
+};
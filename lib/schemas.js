@@ -0,0 +1,85 @@
+const { allowedCategories } = require('./categories');
+const { TASK_STATUS, BID_STATUS } = require('./lifecycle');
+const { toJsonSchema } = require('./validation');
+
+// --- Request schemas ---
+// Fields a client may send. Everything else (creator/bidder identity, status, timestamps) is set by the server.
+
+const taskSchema = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 150, label: 'Title' },
+  category: { type: 'string', required: true, enum: allowedCategories, label: 'Category' },
+  budget: { type: 'number', required: true, exclusiveMin: 0, label: 'Budget' },
+  deadline: { type: 'date', required: true, notInPast: true, label: 'Deadline' },
+  description: { type: 'string', required: true, minLength: 1, maxLength: 5000, label: 'Description' },
+  creatorName: { type: 'string', required: true, maxLength: 100, immutable: true, label: 'Creator name' }
+};
+
+const bidSchema = {
+  biddingAmount: { type: 'number', required: true, exclusiveMin: 0, label: 'Bidding amount' },
+  bidderDeadline: { type: 'date', label: 'Bidder deadline' },
+  comment: { type: 'string', maxLength: 2000, label: 'Comment' },
+  bidderName: { type: 'string', maxLength: 100, immutable: true, label: 'Bidder name' }
+};
+
+const messageSchema = {
+  text: { type: 'string', required: true, minLength: 1, maxLength: 2000, label: 'Message' }
+};
+
+const reviewSchema = {
+  rating: { type: 'number', required: true, integer: true, min: 1, max: 5, label: 'Rating' },
+  comment: { type: 'string', required: true, minLength: 1, maxLength: 2000, label: 'Review' }
+};
+
+// --- Collection validators ---
+// Installed on the collections so writes that bypass the API are held to the same rules.
+
+const taskCollectionSchema = toJsonSchema(taskSchema, {
+  extraRequired: ['creatorEmail'],
+  extraProperties: {
+    creatorEmail: { bsonType: 'string' },
+    status: { enum: Object.values(TASK_STATUS) }
+  }
+});
+
+const bidCollectionSchema = toJsonSchema(bidSchema, {
+  extraRequired: ['taskId', 'bidderEmail', 'status'],
+  extraProperties: {
+    taskId: { bsonType: 'objectId' },
+    bidderEmail: { bsonType: 'string' },
+    status: { enum: Object.values(BID_STATUS) }
+  }
+});
+
+const reviewCollectionSchema = toJsonSchema(reviewSchema, {
+  extraRequired: ['taskId', 'reviewerEmail', 'revieweeEmail'],
+  extraProperties: {
+    taskId: { bsonType: 'objectId' },
+    reviewerEmail: { bsonType: 'string' },
+    revieweeEmail: { bsonType: 'string' }
+  }
+});
+
+// Applies the validators with validationLevel "moderate" so existing non-conforming documents
+// can still be updated, while every insert and every update of a valid document is checked.
+const installCollectionValidators = async (db) => {
+  const validators = { tasks: taskCollectionSchema, bids: bidCollectionSchema, reviews: reviewCollectionSchema };
+  for (const [name, $jsonSchema] of Object.entries(validators)) {
+    const exists = await db.listCollections({ name }, { nameOnly: true }).hasNext();
+    if (exists) {
+      await db.command({ collMod: name, validator: { $jsonSchema }, validationLevel: 'moderate' });
+    } else {
+      await db.createCollection(name, { validator: { $jsonSchema }, validationLevel: 'moderate' });
+    }
+  }
+};
+
+module.exports = {
+  taskSchema,
+  bidSchema,
+  messageSchema,
+  reviewSchema,
+  taskCollectionSchema,
+  bidCollectionSchema,
+  reviewCollectionSchema,
+  installCollectionValidators
+};
@@ -0,0 +1,38 @@
+// --- Graceful shutdown ---
+// Stops accepting connections, lets in-flight requests finish and then closes the storage. /readyz
+// answers 503 meanwhile (app.locals.draining), so load balancers stop sending traffic. Requests still
+// running after timeoutMs have their connections cut.
+
+// SHUTDOWN_TIMEOUT_SECONDS: how long in-flight requests get to finish (default 10)
+const shutdownTimeoutFromEnv = (env = process.env) => {
+  const value = env.SHUTDOWN_TIMEOUT_SECONDS;
+  const seconds = Number(value);
+  return (value !== undefined && value !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds : 10) * 1000;
+};
+
+// How often connections that have gone idle are closed while draining
+const IDLE_SWEEP_MS = 50;
+
+const gracefulShutdown = async ({ app, server, storage, logger, timeoutMs = shutdownTimeoutFromEnv() }) => {
+  app.locals.draining = true;
+  const drained = new Promise(resolve => server.close(() => resolve()));
+
+  // server.close() waits for keep-alive connections to time out; close each one as soon as its
+  // current request is answered instead
+  server.closeIdleConnections();
+  const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+  const deadline = setTimeout(() => {
+    logger.warn('Requests still running at the shutdown deadline; closing their connections', { timeoutMs });
+    server.closeAllConnections();
+  }, timeoutMs);
+
+  try {
+    await drained;
+  } finally {
+    clearInterval(sweep);
+    clearTimeout(deadline);
+  }
+  await storage.close();
+};
+
+module.exports = { gracefulShutdown, shutdownTimeoutFromEnv };
@@ -0,0 +1,112 @@
+const { allowedCategories } = require('./categories');
+const { NOT_DELETED } = require('./trash');
+const { parsePagination } = require('./pagination');
+
+// Sort orders accepted by GET /api/v1/tasks?sort=...
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  budget_asc: { budget: 1 },
+  budget_desc: { budget: -1 },
+  deadline: { deadline: 1 },
+  most_bids: { bidCount: -1 },
+  relevance: { score: -1 } // Text score, only meaningful together with ?search=
+};
+const DEFAULT_SORT = 'deadline';
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+const parseDate = (value) => (value === undefined || value === '' ? undefined : new Date(value));
+
+// Turns the query string into a Mongo filter and sort. Returns { errors } when any value is invalid.
+const parseTaskListQuery = (query) => {
+  const errors = [];
+  const filter = { ...NOT_DELETED }; // Trashed tasks never show up in listings
+
+  // Category: a single category or a comma-separated list
+  if (query.category) {
+    const categories = String(query.category).split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = categories.filter(c => !allowedCategories.includes(c));
+    if (unknown.length > 0) {
+      errors.push({ field: 'category', message: `Unknown category: ${unknown.join(', ')}. Allowed categories are: ${allowedCategories.join(', ')}.` });
+    } else {
+      filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+    }
+  }
+
+  // Budget range
+  const minBudget = parseNumber(query.minBudget);
+  const maxBudget = parseNumber(query.maxBudget);
+  if (minBudget !== undefined && (isNaN(minBudget) || minBudget < 0)) {
+    errors.push({ field: 'minBudget', message: 'minBudget must be a non-negative number.' });
+  }
+  if (maxBudget !== undefined && (isNaN(maxBudget) || maxBudget < 0)) {
+    errors.push({ field: 'maxBudget', message: 'maxBudget must be a non-negative number.' });
+  }
+  if (minBudget !== undefined && maxBudget !== undefined && minBudget > maxBudget) {
+    errors.push({ field: 'maxBudget', message: 'maxBudget must be greater than or equal to minBudget.' });
+  }
+  if (minBudget !== undefined || maxBudget !== undefined) {
+    filter.budget = {};
+    if (minBudget !== undefined) filter.budget.$gte = minBudget;
+    if (maxBudget !== undefined) filter.budget.$lte = maxBudget;
+  }
+
+  // Deadline window
+  const deadlineFrom = parseDate(query.deadlineFrom);
+  const deadlineTo = parseDate(query.deadlineTo);
+  if (deadlineFrom && isNaN(deadlineFrom.getTime())) {
+    errors.push({ field: 'deadlineFrom', message: 'deadlineFrom must be a valid date.' });
+  }
+  if (deadlineTo && isNaN(deadlineTo.getTime())) {
+    errors.push({ field: 'deadlineTo', message: 'deadlineTo must be a valid date.' });
+  }
+  if (deadlineFrom && deadlineTo && deadlineFrom > deadlineTo) {
+    errors.push({ field: 'deadlineTo', message: 'deadlineTo must be on or after deadlineFrom.' });
+  }
+  if (deadlineFrom || deadlineTo) {
+    filter.deadline = {};
+    if (deadlineFrom) filter.deadline.$gte = deadlineFrom;
+    if (deadlineTo) filter.deadline.$lte = deadlineTo;
+  }
+
+  // Free-text search over title/description (backed by the text index on tasks)
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  // Sort order; relevance is the default when searching
+  const sortKey = query.sort || (search ? 'relevance' : DEFAULT_SORT);
+  if (!SORT_OPTIONS[sortKey]) {
+    errors.push({ field: 'sort', message: `Invalid sort. Allowed values are: ${Object.keys(SORT_OPTIONS).join(', ')}.` });
+  } else if (sortKey === 'relevance' && !search) {
+    errors.push({ field: 'sort', message: 'Sorting by relevance requires a search term.' });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return { filter, sortKey, ...parsePagination(query) };
+};
+
+// Builds the aggregation that returns one page of tasks for a parsed query
+const buildTaskListPipeline = ({ filter, sortKey, skip, limit }) => {
+  const pipeline = [{ $match: filter }]; // $text requires $match to be the first stage
+
+  if (sortKey === 'most_bids') {
+    pipeline.push(
+      { $lookup: { from: 'bids', localField: '_id', foreignField: 'taskId', as: 'bidsForCount' } },
+      { $addFields: { bidCount: { $size: '$bidsForCount' } } },
+      { $project: { bidsForCount: 0 } }
+    );
+  }
+  if (sortKey === 'relevance') {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  // _id as a tie-breaker keeps pages stable when many tasks share a sort value
+  pipeline.push({ $sort: { ...SORT_OPTIONS[sortKey], _id: 1 } }, { $skip: skip }, { $limit: limit });
+  return pipeline;
+};
+
+module.exports = { SORT_OPTIONS, parseTaskListQuery, buildTaskListPipeline };
@@ -0,0 +1,160 @@
+const { ObjectId } = require('mongodb');
+const { TASK_STATUS } = require('./lifecycle');
+
+// --- Message threads ---
+// One thread per (task, bidder): a private conversation between the task's creator and that bidder.
+// Threads are created by their first message and keep a per-participant unread counter, reset when
+// that participant opens the thread. Archived threads stay readable but accept no new messages.
+
+const THREAD_ROLES = Object.freeze({ CREATOR: 'creator', BIDDER: 'bidder' });
+
+const ARCHIVE_REASONS = Object.freeze({
+  TASK_DELETED: 'task_deleted',
+  TASK_CANCELLED: 'task_cancelled',
+  AWARDED_TO_OTHER: 'awarded_to_other'
+});
+
+const UNREAD_FIELD = { [THREAD_ROLES.CREATOR]: 'unreadByCreator', [THREAD_ROLES.BIDDER]: 'unreadByBidder' };
+const LAST_READ_FIELD = { [THREAD_ROLES.CREATOR]: 'creatorLastReadAt', [THREAD_ROLES.BIDDER]: 'bidderLastReadAt' };
+
+const PREVIEW_LENGTH = 140;
+
+const otherRole = (role) => (role === THREAD_ROLES.CREATOR ? THREAD_ROLES.BIDDER : THREAD_ROLES.CREATOR);
+
+// Why a conversation between the task's creator and this bidder is closed, or null while it is open
+const archiveReasonFor = (task, bidderEmail) => {
+  if (task.deletedAt) return ARCHIVE_REASONS.TASK_DELETED;
+  if (task.status === TASK_STATUS.CANCELLED) return ARCHIVE_REASONS.TASK_CANCELLED;
+  if (task.awardedTo && task.awardedTo.email !== bidderEmail) return ARCHIVE_REASONS.AWARDED_TO_OTHER;
+  return null;
+};
+
+// Adds the new message to the thread (creating it on the first message) and counts it as unread for
+// the other participant. Returns the thread as updated.
+const touchThread = async (threadsCollection, { task, bid, role, text, now }) => {
+  const key = { taskId: task._id, bidderEmail: bid.bidderEmail };
+  await threadsCollection.updateOne(
+    key,
+    {
+      $setOnInsert: { bidId: bid._id, creatorEmail: task.creatorEmail, archivedAt: null, archivedReason: null, createdAt: now },
+      $set: { lastMessageAt: now, lastMessage: { senderRole: role, preview: text.slice(0, PREVIEW_LENGTH) } },
+      $inc: { messageCount: 1, [UNREAD_FIELD[otherRole(role)]]: 1 }
+    },
+    { upsert: true }
+  );
+  return threadsCollection.findOne(key);
+};
+
+// Marks the thread read for one participant
+const markThreadRead = (threadsCollection, thread, role, now) => threadsCollection.updateOne(
+  { _id: thread._id },
+  { $set: { [UNREAD_FIELD[role]]: 0, [LAST_READ_FIELD[role]]: now } }
+);
+
+// The thread as one participant sees it: their role and unread count instead of both counters
+const presentThread = (thread, role) => {
+  const { unreadByCreator, unreadByBidder, ...rest } = thread;
+  return { ...rest, role, unreadCount: thread[UNREAD_FIELD[role]] || 0 };
+};
+
+const archiveThreads = (threadsCollection, filter, reason, now) => threadsCollection.updateMany(
+  { ...filter, archivedAt: null },
+  { $set: { archivedAt: now, archivedReason: reason } }
+);
+
+// Closes every thread of a trashed task
+const archiveThreadsOfTrashedTask = (threadsCollection, taskId, now) =>
+  archiveThreads(threadsCollection, { taskId }, ARCHIVE_REASONS.TASK_DELETED, now);
+
+// Closes every thread of a cancelled task, the winning bidder's included
+const archiveThreadsOfCancelledTask = (threadsCollection, taskId, now) =>
+  archiveThreads(threadsCollection, { taskId }, ARCHIVE_REASONS.TASK_CANCELLED, now);
+
+// Reopens the threads a trash closed; threads closed by an award stay closed
+const restoreThreadsOfTrashedTask = (threadsCollection, taskId) => threadsCollection.updateMany(
+  { taskId, archivedReason: ARCHIVE_REASONS.TASK_DELETED },
+  { $set: { archivedAt: null, archivedReason: null } }
+);
+
+// Closes the threads of every bidder but the winner
+const archiveThreadsOfLosingBidders = (threadsCollection, taskId, winnerEmail, now) =>
+  archiveThreads(threadsCollection, { taskId, bidderEmail: { $ne: winnerEmail } }, ARCHIVE_REASONS.AWARDED_TO_OTHER, now);
+
+// --- Cursor pagination ---
+// Messages are listed newest first; the cursor names the last message of a page so the next page
+// starts right after it, however many messages arrive in between.
+
+const encodeCursor = (message) => Buffer.from(JSON.stringify({ createdAt: message.createdAt.toISOString(), id: message._id.toHexString() }))
+  .toString('base64url');
+
+// Returns the filter for messages older than the cursor, or null when the cursor is malformed
+const cursorFilter = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !ObjectId.isValid(id)) return null;
+    return { $or: [{ createdAt: { $lt: date } }, { createdAt: date, _id: { $lt: new ObjectId(id) } }] };
+  } catch {
+    return null;
+  }
+};
+
+// The caller's threads (as creator or bidder), most recently active first, each with a task summary
+const myThreadsFilter = (user, { archived } = {}) => ({
+  $or: [{ creatorEmail: user.email }, { bidderEmail: user.email }],
+  ...(archived === undefined ? {} : { archivedAt: archived ? { $ne: null } : null })
+});
+
+const buildMyThreadsPipeline = (filter, { skip, limit }) => [
+  { $match: filter },
+  { $sort: { lastMessageAt: -1, _id: -1 } },
+  { $skip: skip },
+  { $limit: limit },
+  { $lookup: { from: 'tasks', localField: 'taskId', foreignField: '_id', as: 'threadTask' } },
+  {
+    $addFields: {
+      task: {
+        $let: {
+          vars: { task: { $arrayElemAt: ['$threadTask', 0] } },
+          in: {
+            $cond: [
+              { $eq: [{ $type: '$$task' }, 'object'] },
+              { _id: '$$task._id', title: '$$task.title', status: '$$task.status' },
+              null
+            ]
+          }
+        }
+      }
+    }
+  },
+  { $project: { threadTask: 0 } }
+];
+
+// Sums the caller's unread messages across the threads matching the filter
+const buildUnreadTotalPipeline = (filter, user) => [
+  { $match: filter },
+  {
+    $group: {
+      _id: null,
+      unread: { $sum: { $cond: [{ $eq: ['$creatorEmail', user.email] }, { $ifNull: ['$unreadByCreator', 0] }, { $ifNull: ['$unreadByBidder', 0] }] } }
+    }
+  }
+];
+
+module.exports = {
+  THREAD_ROLES,
+  ARCHIVE_REASONS,
+  archiveReasonFor,
+  touchThread,
+  markThreadRead,
+  presentThread,
+  archiveThreadsOfTrashedTask,
+  archiveThreadsOfCancelledTask,
+  restoreThreadsOfTrashedTask,
+  archiveThreadsOfLosingBidders,
+  encodeCursor,
+  cursorFilter,
+  myThreadsFilter,
+  buildMyThreadsPipeline,
+  buildUnreadTotalPipeline
+};
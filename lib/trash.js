@@ -0,0 +1,57 @@
+const { BID_STATUS } = require('./lifecycle');
+
+// Matches tasks that have not been moved to the trash ({ deletedAt: null } also matches a missing field)
+const NOT_DELETED = Object.freeze({ deletedAt: null });
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRetentionDays = (env = process.env) => {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When a trashed task is purged for good
+const purgeDateFor = (task, retentionDays = getRetentionDays()) =>
+  new Date(task.deletedAt.getTime() + retentionDays * DAY_MS);
+
+// Bids that still mattered when the task was trashed; decided or withdrawn bids keep their status
+const CANCELLABLE_BID_STATUSES = [BID_STATUS.PENDING, BID_STATUS.ACCEPTED];
+
+// Marks the task's live bids task_cancelled, remembering their status so a restore can undo it
+const cancelBidsOfTrashedTask = (bidsCollection, taskId, now) => bidsCollection.updateMany(
+  { taskId, status: { $in: CANCELLABLE_BID_STATUSES } },
+  [{ $set: { statusBeforeTaskDeleted: '$status', status: BID_STATUS.TASK_CANCELLED, taskCancelledAt: now } }]
+);
+
+// Bids cancelled with the task itself (PATCH status cancelled) have no previous status and stay cancelled
+const restoreBidsOfTrashedTask = (bidsCollection, taskId) => bidsCollection.updateMany(
+  { taskId, status: BID_STATUS.TASK_CANCELLED, statusBeforeTaskDeleted: { $ne: null } },
+  [{ $set: { status: '$statusBeforeTaskDeleted' } }, { $unset: ['statusBeforeTaskDeleted', 'taskCancelledAt'] }]
+);
+
+// Permanently removes tasks trashed longer than the retention window, together with their bids,
+// message threads and messages
+const purgeTrashedTasks = async ({ tasksCollection, bidsCollection, threadsCollection, messagesCollection }, { retentionDays = getRetentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = await tasksCollection.find({ deletedAt: { $lte: cutoff } }).project({ _id: 1 }).toArray();
+  const taskIds = expired.map(task => task._id);
+  if (taskIds.length === 0) {
+    return { tasksPurged: 0, bidsPurged: 0, threadsPurged: 0 };
+  }
+
+  await messagesCollection.deleteMany({ taskId: { $in: taskIds } });
+  const threads = await threadsCollection.deleteMany({ taskId: { $in: taskIds } });
+  const bids = await bidsCollection.deleteMany({ taskId: { $in: taskIds } });
+  const tasks = await tasksCollection.deleteMany({ _id: { $in: taskIds }, deletedAt: { $lte: cutoff } });
+  return { tasksPurged: tasks.deletedCount, bidsPurged: bids.deletedCount, threadsPurged: threads.deletedCount };
+};
+
+module.exports = {
+  NOT_DELETED,
+  getRetentionDays,
+  purgeDateFor,
+  cancelBidsOfTrashedTask,
+  restoreBidsOfTrashedTask,
+  purgeTrashedTasks
+};
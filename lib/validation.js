@@ -0,0 +1,176 @@
+// --- Declarative schema validation ---
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'date', required, enum, min, max, exclusiveMin, integer, minLength, maxLength,
+//     notInPast, immutable, label }
+// The same schema drives request validation (validate), the MongoDB collection validator (toJsonSchema)
+// and the request bodies of the OpenAPI document (toOpenApiSchema).
+// Accepted values are normalized to the type stored in MongoDB: dates become Date objects.
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// The notInPast rule: anything before today is rejected
+const isBeforeToday = (date) => date < startOfToday();
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Converts an accepted value to its stored type ("2025-06-30" -> Date at 00:00 UTC)
+const normalizeField = (rule, value) => (rule.type === 'date' ? new Date(value) : value);
+
+// Checks one value against its rule; returns an error message or null
+const checkField = (rule, value) => {
+  const label = rule.label || 'This field';
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be a string.`;
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) return `${label} must be at least ${rule.minLength} characters.`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${label} must be at most ${rule.maxLength} characters.`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number.`;
+      if (rule.integer && !Number.isInteger(value)) return `${label} must be a whole number.`;
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) return `${label} must be greater than ${rule.exclusiveMin}.`;
+      if (rule.min !== undefined && value < rule.min) return `${label} must be at least ${rule.min}.`;
+      if (rule.max !== undefined && value > rule.max) return `${label} must be at most ${rule.max}.`;
+      break;
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) return `${label} must be a valid date.`;
+      if (rule.notInPast && isBeforeToday(date)) return `${label} must be today or a future date.`;
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type "${rule.type}".`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${label} must be one of: ${rule.enum.join(', ')}.`;
+  }
+  return null;
+};
+
+// Validates data against a schema.
+// Options:
+//   partial - only validate fields that are present (PATCH/PUT); required rules are skipped
+//   unknown - 'strip' (default) drops fields the schema doesn't know, 'reject' reports them as errors
+// Returns { value, errors } where value holds only the accepted fields, normalized (see normalizeField).
+const validate = (schema, data, { partial = false, unknown = 'strip' } = {}) => {
+  const errors = [];
+  const value = {};
+  const input = data && typeof data === 'object' ? data : {};
+
+  if (unknown === 'reject') {
+    for (const field of Object.keys(input)) {
+      const rule = schema[field];
+      if (!rule) errors.push({ field, message: `Unknown field "${field}".` });
+      else if (partial && rule.immutable) errors.push({ field, message: `${rule.label || field} cannot be changed.` });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (partial && rule.immutable) continue;
+    const fieldValue = input[field];
+
+    if (isMissing(fieldValue)) {
+      if (rule.required && !partial) errors.push({ field, message: `${rule.label || field} is required.` });
+      else if (partial && field in input && rule.required) errors.push({ field, message: `${rule.label || field} cannot be empty.` });
+      continue;
+    }
+
+    const message = checkField(rule, fieldValue);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      value[field] = normalizeField(rule, fieldValue);
+    }
+  }
+
+  return { value, errors };
+};
+
+// Translates a schema to a MongoDB $jsonSchema. Rules that depend on "now" (notInPast) stay API-only.
+// Dates must be BSON dates; documents written before migration 001 may still hold strings, which
+// validationLevel "moderate" tolerates until they are migrated.
+const toJsonSchema = (schema, { extraProperties = {}, extraRequired = [] } = {}) => {
+  const properties = {};
+  const required = [...extraRequired];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const property = {};
+    if (rule.type === 'string') {
+      property.bsonType = 'string';
+      if (rule.minLength !== undefined) property.minLength = rule.minLength;
+      if (rule.maxLength !== undefined) property.maxLength = rule.maxLength;
+    } else if (rule.type === 'number') {
+      property.bsonType = ['double', 'int', 'long', 'decimal'];
+      if (rule.exclusiveMin !== undefined) {
+        property.minimum = rule.exclusiveMin;
+        property.exclusiveMinimum = true;
+      }
+      if (rule.min !== undefined) property.minimum = rule.min;
+      if (rule.max !== undefined) property.maximum = rule.max;
+      if (rule.integer) property.multipleOf = 1;
+    } else if (rule.type === 'date') {
+      property.bsonType = 'date';
+    }
+    if (rule.enum) property.enum = rule.enum;
+    if (rule.label) property.description = rule.label;
+    // Optional fields may have been stored as null by older code
+    if (!rule.required) {
+      property.bsonType = [].concat(property.bsonType, 'null');
+      if (property.enum) property.enum = [...property.enum, null];
+    }
+
+    properties[field] = property;
+    if (rule.required) required.push(field);
+  }
+
+  return { bsonType: 'object', required, properties: { ...properties, ...extraProperties } };
+};
+
+// Translates a schema to the JSON Schema of a request body in the OpenAPI document (lib/openapi.js).
+// Options:
+//   partial         - nothing is required and immutable fields are left out (PATCH/PUT bodies)
+//   optional        - required fields the server fills in when they are missing (e.g. creatorName)
+//   extraProperties - additional accepted fields, such as aliases
+// Optional fields may also be null or '', which count as not sent (see isMissing). notInPast becomes the
+// x-not-in-past extension keyword, which middleware/openapi.js enforces.
+const toOpenApiSchema = (schema, { partial = false, optional = [], extraProperties = {} } = {}) => {
+  const properties = {};
+  const required = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (partial && rule.immutable) continue;
+    const core = {};
+    if (rule.type === 'string') {
+      core.type = 'string';
+      if (rule.minLength !== undefined) core.minLength = rule.minLength;
+      if (rule.maxLength !== undefined) core.maxLength = rule.maxLength;
+    } else if (rule.type === 'number') {
+      core.type = rule.integer ? 'integer' : 'number';
+      if (rule.exclusiveMin !== undefined) core.exclusiveMinimum = rule.exclusiveMin;
+      if (rule.min !== undefined) core.minimum = rule.min;
+      if (rule.max !== undefined) core.maximum = rule.max;
+    } else if (rule.type === 'date') {
+      core.type = 'string';
+      core.anyOf = [{ format: 'date' }, { format: 'date-time' }];
+      if (rule.notInPast) core['x-not-in-past'] = true;
+    }
+    if (rule.enum) core.enum = rule.enum;
+
+    const isRequired = rule.required && !partial && !optional.includes(field);
+    properties[field] = {
+      ...(rule.label ? { description: rule.notInPast ? `${rule.label}, today or later` : rule.label } : {}),
+      ...(isRequired ? core : { anyOf: [core, { enum: [null, ''] }] })
+    };
+    if (isRequired) required.push(field);
+  }
+
+  return { type: 'object', ...(required.length > 0 ? { required } : {}), properties: { ...properties, ...extraProperties } };
+};
+
+module.exports = { isBeforeToday, validate, toJsonSchema, toOpenApiSchema };
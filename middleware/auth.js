@@ -0,0 +1,145 @@
+const jwt = require('jsonwebtoken');
+const { unauthorized } = require('../lib/errors');
+
+// Google publishes the public keys used to sign Firebase ID tokens here, keyed by "kid".
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const LOCAL_TOKEN_ISSUER = 'gig-connect-server';
+
+// --- Verifiers ---
+// A verifier tells the middleware which tokens it accepts and which key checks their signature.
+// Shape: { name, algorithms, accepts(header), getKey(header), options }
+
+// Tokens signed by this server (or anything else sharing JWT_SECRET) with HS256
+const createLocalVerifier = (secret) => ({
+  name: 'local',
+  algorithms: ['HS256'],
+  accepts: (header) => header.alg === 'HS256',
+  getKey: async () => secret,
+  options: { issuer: LOCAL_TOKEN_ISSUER }
+});
+
+// Firebase ID tokens signed by Google with RS256; certificates are cached for as long as Google allows.
+// They are fetched again only once that has passed, never because a token names an unknown kid: anyone
+// can send random kids, and each would otherwise cost an outbound request. Unknown kids get a 401.
+const createFirebaseVerifier = (projectId, { fetchCerts = fetchFirebaseCerts, now = Date.now } = {}) => {
+  let cachedCerts = null;
+  let cacheExpiresAt = 0;
+  let pendingFetch = null; // Concurrent requests share one fetch
+
+  const refreshCerts = async () => {
+    try {
+      const { certs, maxAgeSeconds } = await fetchCerts();
+      cachedCerts = certs;
+      cacheExpiresAt = now() + maxAgeSeconds * 1000;
+    } finally {
+      pendingFetch = null;
+    }
+  };
+
+  return {
+    name: 'firebase',
+    algorithms: ['RS256'],
+    accepts: (header) => header.alg === 'RS256' && Boolean(header.kid),
+    getKey: async (header) => {
+      if (!cachedCerts || now() >= cacheExpiresAt) {
+        pendingFetch = pendingFetch || refreshCerts();
+        await pendingFetch;
+      }
+      return Object.hasOwn(cachedCerts, header.kid) ? cachedCerts[header.kid] : undefined;
+    },
+    options: { audience: projectId, issuer: `https://securetoken.google.com/${projectId}` }
+  };
+};
+
+async function fetchFirebaseCerts() {
+  const response = await fetch(FIREBASE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Could not fetch Firebase signing certificates (HTTP ${response.status}).`);
+  }
+  const maxAgeMatch = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return { certs: await response.json(), maxAgeSeconds: maxAgeMatch ? Number(maxAgeMatch[1]) : 3600 };
+}
+
+// Builds the verifier list from environment variables; either or both may be configured
+const verifiersFromEnv = (env = process.env) => {
+  const verifiers = [];
+  if (env.JWT_SECRET) verifiers.push(createLocalVerifier(env.JWT_SECRET));
+  if (env.FIREBASE_PROJECT_ID) verifiers.push(createFirebaseVerifier(env.FIREBASE_PROJECT_ID));
+  return verifiers;
+};
+
+// Signs a token that the local verifier accepts (used by tooling and tests)
+const signLocalToken = ({ uid, email, name }, secret = process.env.JWT_SECRET, expiresIn = '1h') =>
+  jwt.sign({ email, name }, secret, { algorithm: 'HS256', subject: uid, issuer: LOCAL_TOKEN_ISSUER, expiresIn });
+
+// Maps verified claims from either issuer to the identity the routes use
+const identityFromClaims = (claims) => ({
+  uid: claims.user_id || claims.sub,
+  email: claims.email,
+  name: claims.name
+});
+
+// --- Middleware ---
+
+// Verifies "Authorization: Bearer <token>" and attaches the caller's identity to req.user
+const createVerifyToken = (verifiers) => async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(unauthorized('Authentication required. Send a Bearer token in the Authorization header.'));
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const verifier = decoded && verifiers.find(v => v.accepts(decoded.header));
+  if (!verifier) {
+    return next(unauthorized('Invalid or unsupported authentication token.'));
+  }
+
+  let claims;
+  try {
+    const key = await verifier.getKey(decoded.header);
+    if (!key) {
+      return next(unauthorized('Invalid or unsupported authentication token.'));
+    }
+    claims = jwt.verify(token, key, { algorithms: verifier.algorithms, ...verifier.options });
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return next(unauthorized('Authentication token has expired.'));
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      return next(unauthorized('Invalid or unsupported authentication token.'));
+    }
+    return next(error); // e.g. the Firebase certificates could not be fetched
+  }
+
+  const user = identityFromClaims(claims);
+  if (!user.uid || !user.email) {
+    return next(unauthorized('Authentication token must identify a user with an email address.'));
+  }
+
+  req.user = user;
+  next();
+};
+
+// Same as createVerifyToken, but callers without an Authorization header pass through anonymously
+const createOptionalVerifyToken = (verifiers) => {
+  const verify = createVerifyToken(verifiers);
+  return (req, res, next) => (req.headers.authorization ? verify(req, res, next) : next());
+};
+
+// Default middleware, configured from JWT_SECRET and/or FIREBASE_PROJECT_ID
+const defaultVerifiers = verifiersFromEnv();
+const verifyToken = createVerifyToken(defaultVerifiers);
+const optionalVerifyToken = createOptionalVerifyToken(defaultVerifiers);
+
+module.exports = {
+  verifyToken,
+  optionalVerifyToken,
+  createVerifyToken,
+  createOptionalVerifyToken,
+  createLocalVerifier,
+  createFirebaseVerifier,
+  verifiersFromEnv,
+  signLocalToken
+};
@@ -0,0 +1,51 @@
+const { HttpError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+// Internal details (message, stack) are only sent to clients in development
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// Errors raised by express.json() (body-parser) carry a status and a type
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { code: 'INVALID_JSON', message: 'Request body is not valid JSON.' },
+  'entity.too.large': { code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large.' },
+  'encoding.unsupported': { code: 'UNSUPPORTED_ENCODING', message: 'Request body encoding is not supported.' }
+};
+
+// Maps any error to { status, code, message, extra } for the response
+const describeError = (error) => {
+  if (error instanceof HttpError) {
+    return { status: error.status, code: error.code, message: error.message, extra: error.extra };
+  }
+  if (BODY_PARSER_ERRORS[error.type]) {
+    return { status: error.status || 400, ...BODY_PARSER_ERRORS[error.type] };
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: 'BAD_REQUEST', message: error.message };
+  }
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'An internal server error occurred.' };
+};
+
+// Answers requests no route matched
+const notFoundHandler = (req, res, next) => {
+  next(new HttpError(404, 'NOT_FOUND', `Route ${req.method} ${req.path} not found.`));
+};
+
+// The one place every error ends up, expected (HttpError) or not: logs the unexpected ones and
+// answers { error: { code, message, ...extra } }
+const errorHandler = (error, req, res, next) => {
+  const { status, code, message, extra } = describeError(error);
+  if (status >= 500) {
+    (req.log || logger).error('Unhandled error', { error });
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+  const body = { error: { code, message, ...extra } };
+  if (isDevelopment() && status >= 500) {
+    body.error.details = { message: error.message, stack: error.stack };
+  }
+  res.status(status).send(body);
+};
+
+module.exports = { errorHandler, notFoundHandler, describeError };
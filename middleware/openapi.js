@@ -0,0 +1,217 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { logger: defaultLogger } = require('../lib/logger');
+const { isBeforeToday } = require('../lib/validation');
+const { HttpError } = require('../lib/errors');
+
+// --- OpenAPI validation ---
+// openApiValidator matches each /api/v1 request to its operation in the OpenAPI document (lib/openapi.js).
+// Each route then runs validateRequest after verifyToken and rateLimit, so anonymous callers get a 401
+// before any detail about the body, and malformed requests are throttled like the rest. It checks the
+// path parameters, query string and JSON body; a request that doesn't match gets a 400 INVALID_REQUEST
+// whose errors list [{ field, message }] (see lib/errors.js).
+// With validateResponses, every JSON response is checked too; one that doesn't match the document is
+// logged and replaced by a 500 INVALID_RESPONSE, so tests fail as soon as the code and the docs drift.
+// So does a successful response to a request that no validateRequest checked.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Component schemas are registered once under this id; the document's local refs are pointed at it
+const COMPONENTS_ID = 'openapi-components.json';
+
+const pointRefsAtComponents = (value) => {
+  if (Array.isArray(value)) return value.map(pointRefsAtComponents);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    key === '$ref' && typeof item === 'string' ? item.replace('#/components/schemas/', `${COMPONENTS_ID}#/$defs/`) : pointRefsAtComponents(item)
+  ]));
+};
+
+// Resolves #/components/responses/... refs
+const resolveResponse = (spec, response) => (response.$ref
+  ? spec.components.responses[response.$ref.split('/').pop()]
+  : response);
+
+// '/tasks/{id}/stats' -> /^\/tasks\/([^/]+)\/stats$/ with names ['id']
+const compilePath = (template) => {
+  const names = [];
+  const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${source}/?$`), names };
+};
+
+// Parameters become one object schema per location, so all problems are reported at once
+const parametersSchema = (parameters, location) => {
+  const own = parameters.filter(parameter => parameter.in === location);
+  return {
+    type: 'object',
+    required: own.filter(parameter => parameter.required).map(parameter => parameter.name),
+    properties: Object.fromEntries(own.map(parameter => [parameter.name, parameter.schema]))
+  };
+};
+
+// Ajv errors -> [{ field, message }], one per field
+const formatErrors = (errors, prefix) => {
+  const byField = new Map();
+  for (const error of errors) {
+    const path = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') path.push(error.params.missingProperty);
+    const field = path.join('.') || prefix;
+    if (byField.has(field)) continue;
+    let message = error.message;
+    if (error.keyword === 'required') message = 'is required';
+    if (error.keyword === 'enum') message = `must be one of: ${error.params.allowedValues.map(String).join(', ')}`;
+    byField.set(field, { field, message: `${field} ${message}.` });
+  }
+  return [...byField.values()];
+};
+
+// x-not-in-past: the date must be today or later (the notInPast rule of lib/validation.js)
+const notInPastKeyword = {
+  keyword: 'x-not-in-past',
+  type: 'string',
+  schemaType: 'boolean',
+  validate: function notInPast(enabled, value) {
+    notInPast.errors = [{ keyword: 'x-not-in-past', message: 'must be today or a future date', params: {} }];
+    return !enabled || !isBeforeToday(new Date(value));
+  }
+};
+
+const compileOperations = (spec) => {
+  const bodyAjv = addFormats(new Ajv2020({ allErrors: true, strictTypes: false }));
+  // Query and path values arrive as strings; numbers and integers are coerced on a copy before checking
+  const parameterAjv = addFormats(new Ajv2020({ allErrors: true, strictTypes: false, coerceTypes: true }));
+  for (const ajv of [bodyAjv, parameterAjv]) {
+    ajv.addKeyword(notInPastKeyword);
+    ajv.addSchema({ $id: COMPONENTS_ID, $defs: pointRefsAtComponents(spec.components.schemas) });
+  }
+
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(spec.paths)) {
+    for (const method of METHODS.filter(name => pathItem[name])) {
+      const definition = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(definition.parameters || [])];
+      const bodySchema = definition.requestBody && definition.requestBody.content['application/json'].schema;
+      const responses = Object.fromEntries(Object.entries(definition.responses).map(([status, response]) => {
+        const content = resolveResponse(spec, response).content;
+        return [status, content ? bodyAjv.compile(pointRefsAtComponents(content['application/json'].schema)) : null];
+      }));
+
+      operations.push({
+        name: `${method.toUpperCase()} ${template}`,
+        method: method.toUpperCase(),
+        ...compilePath(template),
+        literalSegments: template.split('/').filter(segment => segment && !segment.startsWith('{')).length,
+        validatePath: parameterAjv.compile(pointRefsAtComponents(parametersSchema(parameters, 'path'))),
+        validateQuery: parameterAjv.compile(pointRefsAtComponents(parametersSchema(parameters, 'query'))),
+        validateBody: bodySchema ? bodyAjv.compile(pointRefsAtComponents(bodySchema)) : null,
+        responses
+      });
+    }
+  }
+  // Literal paths win over templated ones: /tasks/trash before /tasks/{id}
+  return operations.sort((a, b) => b.literalSegments - a.literalSegments);
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value; // Malformed escapes are left for the pattern check to reject
+  }
+};
+
+const findOperation = (operations, method, path) => {
+  for (const operation of operations) {
+    if (operation.method !== method) continue;
+    const match = operation.regex.exec(path);
+    if (match) {
+      const params = Object.fromEntries(operation.names.map((name, i) => [name, decode(match[i + 1])]));
+      return { operation, params };
+    }
+  }
+  return null;
+};
+
+// Checks a request; returns [{ field, message }]
+const requestErrors = (operation, params, req) => {
+  const errors = [];
+  if (!operation.validatePath({ ...params })) errors.push(...formatErrors(operation.validatePath.errors, 'path'));
+  if (!operation.validateQuery({ ...req.query })) errors.push(...formatErrors(operation.validateQuery.errors, 'query'));
+  if (operation.validateBody) {
+    if (req.body === undefined) {
+      errors.push({ field: 'body', message: 'Request body is required. Send JSON with Content-Type: application/json.' });
+    } else if (!operation.validateBody(req.body)) {
+      errors.push(...formatErrors(operation.validateBody.errors, 'body'));
+    }
+  }
+  return errors;
+};
+
+// Wraps res.json so the body is checked, as the client will receive it, before it is sent
+const checkResponses = (req, res, operation, logger) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const status = res.statusCode;
+    const validateResponse = operation.responses[status] || operation.responses.default;
+    const received = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+    let errors = null;
+    if (status < 300 && !req.openApi.validated) {
+      errors = [{ field: 'request', message: 'The route does not run validateRequest.' }];
+    } else if (validateResponse === undefined) {
+      errors = [{ field: 'status', message: `Status ${status} is not documented.` }];
+    } else if (validateResponse && !validateResponse(received)) {
+      errors = formatErrors(validateResponse.errors, 'body');
+    }
+    if (!errors) return json(body);
+
+    (req.log || logger).error('Response does not match the API specification', { operation: operation.name, status, errors });
+    res.status(500);
+    return json({
+      error: {
+        code: 'INVALID_RESPONSE',
+        message: 'The response does not match the API specification.',
+        details: { operation: operation.name, status, errors }
+      }
+    });
+  };
+};
+
+// Compiling takes a few hundred milliseconds, so it is done once per document (tests create many apps)
+const compiled = new WeakMap();
+const operationsFor = (spec) => {
+  if (!compiled.has(spec)) compiled.set(spec, compileOperations(spec));
+  return compiled.get(spec);
+};
+
+const openApiValidator = (spec, { validateResponses = false, logger = defaultLogger } = {}) => {
+  const operations = operationsFor(spec);
+  return (req, res, next) => {
+    const found = findOperation(operations, req.method, req.path);
+    if (!found) return next();
+
+    req.openApi = { ...found, validated: false };
+    if (validateResponses) checkResponses(req, res, found.operation, logger);
+    next();
+  };
+};
+
+// Route middleware: checks the request against the operation openApiValidator matched
+const validateRequest = (req, res, next) => {
+  if (!req.openApi) return next();
+  const { operation, params } = req.openApi;
+  req.openApi.validated = true;
+  const errors = requestErrors(operation, params, req);
+  if (errors.length > 0) {
+    return next(new HttpError(400, 'INVALID_REQUEST', 'Invalid request.', { errors }));
+  }
+  next();
+};
+
+// Responses are validated in development and test only; the check costs time on every response
+const responseValidationFromEnv = (env = process.env) => ['development', 'test'].includes(env.NODE_ENV);
+
+module.exports = { openApiValidator, validateRequest, responseValidationFromEnv };
@@ -0,0 +1,65 @@
+const { ObjectId } = require('mongodb');
+const { NOT_DELETED } = require('../lib/trash');
+const { badRequest, forbidden, notFound } = require('../lib/errors');
+
+// --- Roles ---
+// Every caller relates to a task in exactly one way:
+//   creator - posted the task; may edit/delete it and sees every bid in full
+//   bidder  - has placed at least one bid on it; sees only their own bid(s)
+//   viewer  - anyone else, including anonymous callers; sees only the bid count
+const ROLES = Object.freeze({ CREATOR: 'creator', BIDDER: 'bidder', VIEWER: 'viewer' });
+
+// Tasks created before authentication only carry creatorEmail, so ownership is matched on email
+const isTaskCreator = (task, user) => Boolean(user && task && task.creatorEmail === user.email);
+
+const isOwnBid = (bid, user) => Boolean(user && bid && bid.bidderEmail === user.email);
+
+const getTaskRole = (task, bids, user) => {
+  if (isTaskCreator(task, user)) return ROLES.CREATOR;
+  if ((bids || []).some(bid => isOwnBid(bid, user))) return ROLES.BIDDER;
+  return ROLES.VIEWER;
+};
+
+// Returns the bids this caller may see, plus the total count that everybody may see
+const visibleBids = (task, bids, user) => {
+  const allBids = bids || [];
+  const role = getTaskRole(task, allBids, user);
+  const visible = role === ROLES.CREATOR
+    ? allBids
+    : role === ROLES.BIDDER ? allBids.filter(bid => isOwnBid(bid, user)) : [];
+  return { role, bids: visible, bidCount: allBids.length };
+};
+
+// --- Middleware ---
+
+// Loads the task named by req.params[paramName] into req.task and lets only its creator through.
+// Trashed tasks count as not found unless { trashed: true } is passed, which loads only trashed ones.
+// Must run after verifyToken.
+const requireTaskCreator = (paramName = 'id', action = 'modify', { trashed = false } = {}) => async (req, res, next) => {
+  const { tasksCollection } = req.app.locals;
+  const id = req.params[paramName];
+
+  if (!ObjectId.isValid(id)) {
+    return next(badRequest('Invalid Task ID format.'));
+  }
+
+  const trashFilter = trashed ? { deletedAt: { $ne: null } } : NOT_DELETED;
+  const task = await tasksCollection.findOne({ _id: new ObjectId(id), ...trashFilter });
+  if (!task) {
+    return next(notFound(trashed ? 'Task not found in trash.' : 'Task not found.'));
+  }
+  if (!isTaskCreator(task, req.user)) {
+    return next(forbidden(`Only the creator of this task can ${action} it.`));
+  }
+  req.task = task;
+  next();
+};
+
+module.exports = {
+  ROLES,
+  isTaskCreator,
+  isOwnBid,
+  getTaskRole,
+  visibleBids,
+  requireTaskCreator
+};
@@ -0,0 +1,129 @@
+const { HttpError } = require('../lib/errors');
+
+// --- Token buckets ---
+// Each bucket holds up to `capacity` tokens and refills continuously; a request takes one token.
+// A full bucket allows a burst of `capacity` requests, after which requests pass at the refill rate.
+
+// In-process store (the default). A shared store (e.g. Redis) only has to implement the same
+// async take(key, rate, now) -> { allowed, remaining, retryAfterMs }, atomically per key.
+class MemoryRateLimitStore {
+  constructor({ maxKeys = 10000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  async take(key, { capacity, refillPerMs }, now = Date.now()) {
+    const bucket = this.buckets.get(key);
+    const available = bucket ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs) : capacity;
+
+    if (bucket) {
+      // Re-inserting keeps the Map in least-recently-used order
+      this.buckets.delete(key);
+    } else if (this.buckets.size >= this.maxKeys) {
+      this.prune(now);
+      this.evict(this.buckets.size - this.maxKeys + 1);
+    }
+
+    if (available >= 1) {
+      this.buckets.set(key, { tokens: available - 1, updatedAt: now, capacity, refillPerMs });
+      return { allowed: true, remaining: Math.floor(available - 1), retryAfterMs: 0 };
+    }
+    this.buckets.set(key, { tokens: available, updatedAt: now, capacity, refillPerMs });
+    return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - available) / refillPerMs) };
+  }
+
+  // Drops buckets that have refilled completely; they behave exactly like missing ones
+  prune(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  // Drops the `count` least recently used buckets, so at most maxKeys are ever kept
+  evict(count) {
+    for (const key of this.buckets.keys()) {
+      if (count-- <= 0) break;
+      this.buckets.delete(key);
+    }
+  }
+}
+
+// --- Configuration ---
+
+const UNIT_MS = { s: 1000, sec: 1000, min: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// "10/min" -> a bucket of 10 that refills completely every minute; "off" -> no limit
+const parseRate = (text) => {
+  if (text === 'off') return null;
+  const match = /^(\d+)\s*\/\s*(s|sec|min|hour|day)$/.exec(String(text).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid rate limit "${text}". Use "<count>/<s|min|hour|day>" or "off".`);
+  }
+  const capacity = Number(match[1]);
+  return { capacity, refillPerMs: capacity / UNIT_MS[match[2]] };
+};
+
+// Route groups and their default limits, per client IP and per signed-in user
+const DEFAULT_RATE_LIMITS = {
+  tasks: { perIp: '30/hour', perUser: '10/hour' }, // Posting tasks
+  bids: { perIp: '120/hour', perUser: '60/hour' }, // Placing and revising bids
+  writes: { perIp: '600/hour', perUser: '300/hour' } // Every other change (edits, deletes, decisions, ...)
+};
+
+// RATE_LIMIT_<GROUP>_PER_IP / RATE_LIMIT_<GROUP>_PER_USER override the defaults, e.g. RATE_LIMIT_BIDS_PER_USER=20/hour
+const rateLimitsFromEnv = (env = process.env) => Object.fromEntries(
+  Object.entries(DEFAULT_RATE_LIMITS).map(([group, defaults]) => {
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    return [group, {
+      perIp: parseRate(env[`${prefix}_PER_IP`] || defaults.perIp),
+      perUser: parseRate(env[`${prefix}_PER_USER`] || defaults.perUser)
+    }];
+  })
+);
+
+// createRateLimiter({ limits, store }).check(group, req) -> { allowed, retryAfterMs }
+const createRateLimiter = ({ limits = rateLimitsFromEnv(), store = new MemoryRateLimitStore() } = {}) => ({
+  store,
+  async check(group, req) {
+    const { perIp, perUser } = limits[group] || {};
+    const buckets = [];
+    if (perIp) buckets.push([`${group}:ip:${req.ip}`, perIp]);
+    if (perUser && req.user) buckets.push([`${group}:user:${req.user.uid}`, perUser]);
+
+    for (const [key, rate] of buckets) {
+      const result = await store.take(key, rate);
+      if (!result.allowed) return result;
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+});
+
+// --- Middleware ---
+
+// Throttles a route group with the limiter in app.locals (see createApp). Runs after verifyToken so
+// signed-in callers also get a per-user bucket. Over the limit: 429 with Retry-After (seconds).
+// If the store fails the request is let through; an outage of a shared store must not take the API down.
+const rateLimit = (group) => async (req, res, next) => {
+  let result;
+  try {
+    result = await req.app.locals.rateLimiter.check(group, req);
+  } catch (error) {
+    req.log.warn('Rate limit store unavailable', { group, error });
+    return next();
+  }
+  if (result.allowed) return next();
+
+  res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  next(new HttpError(429, 'RATE_LIMITED', 'Too many requests. Please slow down and try again later.'));
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  parseRate,
+  DEFAULT_RATE_LIMITS,
+  rateLimitsFromEnv,
+  createRateLimiter,
+  rateLimit
+};
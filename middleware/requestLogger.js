@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Incoming IDs are reused (so a trace spans client and server) only when they look harmless
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// The matched route template (/api/v1/tasks/:id) rather than the raw path, so entries group by endpoint
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : null);
+
+// Gives every request a correlation ID (req.id, echoed in X-Request-Id) and a child logger (req.log),
+// and writes one entry per response with method, route, status and latency.
+const requestLogger = (logger) => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', {
+      method: req.method,
+      route: routeOf(req),
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      user: req.user ? req.user.uid : undefined
+    });
+  });
+  next();
+};
+
+module.exports = { REQUEST_ID_HEADER, requestLogger };
@@ -0,0 +1,59 @@
+// Converts dates and numbers that older code stored as the strings clients sent into BSON dates and
+// doubles, and creates the indexes the task and bid routes query by.
+// Values that can't be converted are left as they are and reported.
+
+const DATE_FIELDS = {
+  tasks: ['deadline', 'createdAt', 'updatedAt', 'deletedAt'],
+  bids: ['bidderDeadline', 'bidPlacedAt', 'updatedAt', 'decidedAt']
+};
+
+const NUMBER_FIELDS = {
+  tasks: ['budget'],
+  bids: ['biddingAmount']
+};
+
+const INDEXES = {
+  tasks: [
+    [{ creatorEmail: 1, createdAt: -1 }, { name: 'tasks_by_creator' }], // my-posted-tasks, trash, my-stats
+    [{ deadline: 1 }, { name: 'tasks_by_deadline' }] // Deadline sort and filters, featured tasks, reminders
+  ],
+  bids: [
+    [{ taskId: 1, bidPlacedAt: -1 }, { name: 'bids_by_task' }], // Bids of a task, newest first
+    [{ bidderEmail: 1, bidPlacedAt: -1 }, { name: 'bids_by_bidder' }] // my-bids, my-stats
+  ]
+};
+
+// Converts the string values of one field; empty strings become null
+const convertField = async (collection, field, to) => {
+  const emptied = await collection.updateMany({ [field]: '' }, { $set: { [field]: null } });
+  const converted = await collection.updateMany(
+    { [field]: { $type: 'string' } },
+    [{ $set: { [field]: { $convert: { input: `$${field}`, to, onError: `$${field}` } } } }]
+  );
+  const unconvertible = await collection.countDocuments({ [field]: { $type: 'string' } });
+  return { converted: converted.modifiedCount + emptied.modifiedCount, unconvertible };
+};
+
+module.exports = {
+  description: 'Store task and bid dates as BSON dates and amounts as numbers; add query indexes',
+
+  async up(database, { logger } = {}) {
+    const report = {};
+    for (const name of ['tasks', 'bids']) {
+      const collection = database.collection(name);
+      for (const [fields, to] of [[DATE_FIELDS[name], 'date'], [NUMBER_FIELDS[name], 'double']]) {
+        for (const field of fields) {
+          const counts = await convertField(collection, field, to);
+          report[`${name}.${field}`] = counts;
+          if (counts.unconvertible > 0 && logger) {
+            logger.warn('Values left unconverted', { collection: name, field, count: counts.unconvertible });
+          }
+        }
+      }
+      for (const [key, options] of INDEXES[name]) {
+        await collection.createIndex(key, options);
+      }
+    }
+    return report;
+  }
+};
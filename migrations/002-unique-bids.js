@@ -0,0 +1,40 @@
+// Resolves bids that break "one bid per user per task" and creates the unique index that enforces it
+// (bids_one_per_bidder, see storage/indexes.js), which can't be built while duplicates exist.
+// Per (taskId, bidderEmail) the bid that matters most is kept: accepted, then pending, then the rest,
+// newest first within a status. The others are moved to "bids_duplicates", not deleted.
+
+const KEEP_ORDER = ['accepted', 'pending', 'task_cancelled', 'rejected', 'withdrawn'];
+
+const rank = (bid) => {
+  const index = KEEP_ORDER.indexOf(bid.status);
+  return index === -1 ? KEEP_ORDER.length : index;
+};
+
+const placedAt = (bid) => (bid.bidPlacedAt instanceof Date ? bid.bidPlacedAt.getTime() : 0);
+
+module.exports = {
+  description: 'Keep one bid per user per task and add the unique (taskId, bidderEmail) index',
+
+  async up(database, { logger } = {}) {
+    const bids = database.collection('bids');
+    const groups = await bids.aggregate([
+      { $group: { _id: { taskId: '$taskId', bidderEmail: '$bidderEmail' }, bids: { $push: '$$ROOT' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+
+    let moved = 0;
+    const removedAt = new Date();
+    for (const group of groups) {
+      const [, ...duplicates] = [...group.bids].sort((a, b) => rank(a) - rank(b) || placedAt(b) - placedAt(a));
+      await database.collection('bids_duplicates').insertMany(duplicates.map(bid => ({ ...bid, removedAt })));
+      const result = await bids.deleteMany({ _id: { $in: duplicates.map(bid => bid._id) } });
+      moved += result.deletedCount;
+    }
+    if (moved > 0 && logger) {
+      logger.warn('Duplicate bids moved to bids_duplicates', { groups: groups.length, moved });
+    }
+
+    await bids.createIndex({ taskId: 1, bidderEmail: 1 }, { name: 'bids_one_per_bidder', unique: true });
+    return { groups: groups.length, moved };
+  }
+};
@@ -0,0 +1,341 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyToken, optionalVerifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/openapi');
+const { ROLES, isOwnBid, visibleBids, requireTaskCreator } = require('../middleware/permissions');
+const { validate } = require('../lib/validation');
+const { badRequest, validationError, forbidden, notFound, conflict } = require('../lib/errors');
+const { bidSchema } = require('../lib/schemas');
+const { TASK_STATUS, BID_STATUS, getTaskStatus, canTransitionTask } = require('../lib/lifecycle');
+const { NOT_DELETED } = require('../lib/trash');
+const { pageMeta } = require('../lib/pagination');
+const { parseMyBidsQuery, myBidsFilter, buildMyBidsPipeline } = require('../lib/myViews');
+const { EVENT_TYPES, emitEvent } = require('../lib/notifications');
+const { archiveThreadsOfLosingBidders } = require('../lib/threads');
+const { reputationFor } = require('../lib/reviews');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+const router = express.Router();
+
+// --- Bid API Endpoints ---
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Fields a revision may change; the previous values are kept in the bid's revisions array
+const REVISABLE_BID_FIELDS = ['biddingAmount', 'bidderDeadline', 'comment'];
+
+// Dates are compared by value, everything else strictly
+const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+// A second bid by the same user; names their existing bid when it is known. Only a pending bid can be
+// edited, so a rejected or accepted one is not pointed at for that.
+const duplicateBid = (existingBid) => {
+  const message = existingBid && existingBid.status && existingBid.status !== BID_STATUS.PENDING
+    ? `You have already placed a bid on this task, and it was ${existingBid.status}. It can no longer be changed.`
+    : 'You have already placed a bid on this task. Edit your existing bid instead.';
+  return conflict(message, 'DUPLICATE_BID', existingBid ? { bidId: existingBid._id } : {});
+};
+
+// POSTting a new bid on a specific task
+router.post('/tasks/:taskId/bids', verifyToken, rateLimit('bids'), validateRequest, async (req, res) => {
+  const { tasksCollection, bidsCollection } = req.app.locals;
+  const { taskId } = req.params;
+  const body = req.body || {}; // Expected: { biddingAmount, (optional) bidderName, (optional) bidderDeadline, (optional) comment }
+
+  try {
+    if (!ObjectId.isValid(taskId)) {
+      throw badRequest('Invalid Task ID format.');
+    }
+
+    // Checked if the task exists
+    const task = await tasksCollection.findOne({ _id: new ObjectId(taskId), ...NOT_DELETED });
+    if (!task) {
+      throw notFound('Task not found. Cannot place bid.');
+    }
+
+    // Validation: User cannot bid on their own task
+    if (task.creatorEmail === req.user.email) {
+      throw forbidden('You cannot bid on your own task.');
+    }
+
+    // Validation: Task is still open for bidding (not awarded, in progress, completed or cancelled)
+    if (getTaskStatus(task) !== TASK_STATUS.OPEN) {
+      throw conflict(`This task is ${getTaskStatus(task)} and no longer accepts bids.`);
+    }
+
+    // Validation: Deadline for bidding has not passed
+    const now = new Date();
+    if (now > new Date(task.deadline)) {
+      throw forbidden('The deadline for bidding on this task has passed.');
+    }
+
+    // Validation: One bid per user per task; revise the existing bid instead. A withdrawn bid is
+    // placed again below, since it can no longer be revised.
+    const existingBid = await bidsCollection.findOne({ taskId: task._id, bidderEmail: req.user.email });
+    if (existingBid && existingBid.status !== BID_STATUS.WITHDRAWN) {
+      throw duplicateBid(existingBid);
+    }
+
+    // Validated against the bid schema; the client sends proposedDeadline, older clients bidderDeadline
+    const { value: bidData, errors } = validate(bidSchema, {
+      ...body,
+      bidderDeadline: body.proposedDeadline || body.bidderDeadline,
+      bidderName: body.bidderName || req.user.name
+    });
+    if (errors.length > 0) {
+      throw validationError(errors, 'Invalid bid data.');
+    }
+
+    const newBid = {
+      taskId: new ObjectId(taskId),
+      bidderEmail: req.user.email, // The bidder is always the authenticated caller
+      bidderUid: req.user.uid, // Firebase (or local) UID taken from the verified token
+      ...bidData,
+      status: BID_STATUS.PENDING,
+      bidPlacedAt: now
+    };
+
+    let bidId;
+    if (existingBid) {
+      // Re-opens the withdrawn bid with the new values; the withdrawn ones are kept as a revision.
+      // Revisable fields the new bid leaves out are cleared, not carried over.
+      const previous = Object.fromEntries(REVISABLE_BID_FIELDS.map(field => [field, existingBid[field] === undefined ? null : existingBid[field]]));
+      const changedFields = REVISABLE_BID_FIELDS.filter(field => !sameValue(newBid[field], existingBid[field]));
+      const omittedFields = REVISABLE_BID_FIELDS.filter(field => newBid[field] === undefined);
+      const result = await bidsCollection.updateOne(
+        { _id: existingBid._id, status: BID_STATUS.WITHDRAWN },
+        {
+          $set: { ...newBid, updatedAt: now },
+          $unset: Object.fromEntries(['withdrawnAt', ...omittedFields].map(field => [field, ''])),
+          $push: { revisions: { ...previous, changedFields, revisedAt: now } }
+        }
+      );
+      if (result.matchedCount === 0) {
+        throw duplicateBid({ _id: existingBid._id });
+      }
+      bidId = existingBid._id;
+    } else {
+      bidId = (await bidsCollection.insertOne(newBid)).insertedId;
+    }
+
+    await emitEvent(req, {
+      type: EVENT_TYPES.BID_PLACED,
+      task,
+      recipients: [{ email: task.creatorEmail }],
+      data: { bidId, bidderName: newBid.bidderName, biddingAmount: newBid.biddingAmount }
+    });
+    res.status(201).send({ message: 'Bid placed successfully', bidId });
+
+  } catch (error) {
+    // The unique (taskId, bidderEmail) index catches two bids racing past the check above
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      throw duplicateBid();
+    }
+    throw error;
+  }
+});
+
+// GETting all bids for a specific task
+// The creator gets every bid, a bidder gets only their own bid(s), other viewers get { bidCount }.
+// Each bid carries its bidder's bidderReputation (see lib/reviews.js).
+router.get('/tasks/:taskId/bids', optionalVerifyToken, validateRequest, async (req, res) => {
+  const { tasksCollection, bidsCollection } = req.app.locals;
+  const { taskId } = req.params;
+  if (!ObjectId.isValid(taskId)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+
+  const task = await tasksCollection.findOne({ _id: new ObjectId(taskId), ...NOT_DELETED });
+  if (!task) {
+    throw notFound('Task not found.');
+  }
+
+  const allBids = await bidsCollection.find({ taskId: new ObjectId(taskId) }).sort({ bidPlacedAt: -1 }).toArray(); // Sort by newest bid first
+  const { role, bids, bidCount } = visibleBids(task, allBids, req.user);
+
+  if (role === ROLES.VIEWER) {
+    return res.status(200).send({ bidCount });
+  }
+  const reputations = await reputationFor(req.app.locals, bids.map(bid => bid.bidderEmail));
+  res.status(200).send(bids.map(bid => ({ ...bid, bidderReputation: reputations.get(bid.bidderEmail) }))); // Could be empty, still a success
+});
+
+// --- Bid Lifecycle Endpoints ---
+
+// Looks up a bid that belongs to the given task; throws a 400 or 404 when it can't
+const findTaskBid = async (req, taskObjectId) => {
+  const { bidsCollection } = req.app.locals;
+  const { bidId } = req.params;
+  if (!ObjectId.isValid(bidId)) {
+    throw badRequest('Invalid Bid ID format.');
+  }
+  const bid = await bidsCollection.findOne({ _id: new ObjectId(bidId), taskId: taskObjectId });
+  if (!bid) {
+    throw notFound('Bid not found for this task.');
+  }
+  return bid;
+};
+
+// POSTing an acceptance: awards the task to this bid and rejects every other pending bid
+router.post('/tasks/:taskId/bids/:bidId/accept', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('taskId', 'accept bids on'), async (req, res) => {
+  const { tasksCollection, bidsCollection, threadsCollection } = req.app.locals;
+  const { task } = req;
+  const bid = await findTaskBid(req, task._id);
+
+  if (bid.status !== BID_STATUS.PENDING) {
+    throw conflict(`Only pending bids can be accepted. This bid is ${bid.status}.`);
+  }
+  const currentStatus = getTaskStatus(task);
+  if (!canTransitionTask(currentStatus, TASK_STATUS.AWARDED)) {
+    throw conflict(`A task that is ${currentStatus} cannot be awarded.`);
+  }
+
+  const now = new Date();
+  // Matching on the open status makes two concurrent accepts unable to both award the task
+  const taskResult = await tasksCollection.updateOne(
+    { _id: task._id, status: { $in: [TASK_STATUS.OPEN, null] } },
+    {
+      $set: {
+        status: TASK_STATUS.AWARDED,
+        awardedBidId: bid._id,
+        awardedTo: { email: bid.bidderEmail, uid: bid.bidderUid, name: bid.bidderName },
+        awardedAt: now,
+        updatedAt: now
+      }
+    }
+  );
+  if (taskResult.matchedCount === 0) {
+    throw conflict('This task has already been awarded or closed.');
+  }
+
+  // The bidder may have withdrawn meanwhile; then the award is undone before any other bid is touched
+  const bidResult = await bidsCollection.updateOne(
+    { _id: bid._id, status: BID_STATUS.PENDING },
+    { $set: { status: BID_STATUS.ACCEPTED, decidedAt: now } }
+  );
+  if (bidResult.matchedCount === 0) {
+    const restored = { status: task.status, updatedAt: task.updatedAt };
+    await tasksCollection.updateOne(
+      { _id: task._id, status: TASK_STATUS.AWARDED, awardedBidId: bid._id },
+      {
+        $set: Object.fromEntries(Object.entries(restored).filter(([, value]) => value !== undefined)),
+        $unset: Object.fromEntries(['awardedBidId', 'awardedTo', 'awardedAt', ...Object.keys(restored).filter(field => restored[field] === undefined)].map(field => [field, '']))
+      }
+    );
+    throw conflict('This bid is no longer pending and cannot be accepted.');
+  }
+  const rejected = await bidsCollection.updateMany(
+    { taskId: task._id, _id: { $ne: bid._id }, status: BID_STATUS.PENDING },
+    { $set: { status: BID_STATUS.REJECTED, decidedAt: now } }
+  );
+  await archiveThreadsOfLosingBidders(threadsCollection, task._id, bid.bidderEmail, now);
+
+  res.status(200).send({ message: 'Bid accepted and task awarded.', taskStatus: TASK_STATUS.AWARDED, rejectedCount: rejected.modifiedCount });
+});
+
+// POSTing a rejection of a single pending bid
+router.post('/tasks/:taskId/bids/:bidId/reject', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('taskId', 'reject bids on'), async (req, res) => {
+  const { bidsCollection } = req.app.locals;
+  const bid = await findTaskBid(req, req.task._id);
+
+  const result = await bidsCollection.updateOne(
+    { _id: bid._id, status: BID_STATUS.PENDING },
+    { $set: { status: BID_STATUS.REJECTED, decidedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) {
+    throw conflict(`Only pending bids can be rejected. This bid is ${bid.status}.`);
+  }
+
+  res.status(200).send({ message: 'Bid rejected.', bidStatus: BID_STATUS.REJECTED });
+});
+
+// PATCHing (revising) the caller's own pending bid
+router.patch('/tasks/:taskId/bids/:bidId', verifyToken, rateLimit('bids'), validateRequest, async (req, res) => {
+  const { bidsCollection } = req.app.locals;
+  const { taskId } = req.params;
+  const body = req.body || {};
+  if (!ObjectId.isValid(taskId)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+  const bid = await findTaskBid(req, new ObjectId(taskId));
+
+  if (!isOwnBid(bid, req.user)) {
+    throw forbidden('You can only edit your own bid.');
+  }
+  if (bid.status !== BID_STATUS.PENDING) {
+    throw conflict(`Only pending bids can be edited. This bid is ${bid.status}.`);
+  }
+
+  // Same rules as placing a bid, applied only to the fields sent
+  const { value: changes, errors } = validate(bidSchema, {
+    ...body,
+    bidderDeadline: body.proposedDeadline || body.bidderDeadline
+  }, { partial: true });
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid bid data.');
+  }
+  const changedFields = REVISABLE_BID_FIELDS.filter(field => field in changes && !sameValue(changes[field], bid[field]));
+  if (changedFields.length === 0) {
+    throw badRequest(`No changes provided. Revisable fields are: ${REVISABLE_BID_FIELDS.join(', ')}.`);
+  }
+
+  const now = new Date();
+  const previous = Object.fromEntries(REVISABLE_BID_FIELDS.map(field => [field, bid[field] === undefined ? null : bid[field]]));
+  const result = await bidsCollection.updateOne(
+    { _id: bid._id, status: BID_STATUS.PENDING },
+    {
+      $set: { ...Object.fromEntries(changedFields.map(field => [field, changes[field]])), updatedAt: now },
+      $push: { revisions: { ...previous, changedFields, revisedAt: now } }
+    }
+  );
+  if (result.matchedCount === 0) {
+    throw conflict('This bid was decided in the meantime and can no longer be edited.');
+  }
+
+  res.status(200).send({ message: 'Bid updated.', changedFields, revisionCount: (bid.revisions || []).length + 1 });
+});
+
+// POSTing a withdrawal of the caller's own pending bid
+router.post('/tasks/:taskId/bids/:bidId/withdraw', verifyToken, rateLimit('writes'), validateRequest, async (req, res) => {
+  const { bidsCollection } = req.app.locals;
+  const { taskId } = req.params;
+  if (!ObjectId.isValid(taskId)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+  const bid = await findTaskBid(req, new ObjectId(taskId));
+
+  if (!isOwnBid(bid, req.user)) {
+    throw forbidden('You can only withdraw your own bid.');
+  }
+
+  const result = await bidsCollection.updateOne(
+    { _id: bid._id, status: BID_STATUS.PENDING },
+    { $set: { status: BID_STATUS.WITHDRAWN, withdrawnAt: new Date() } }
+  );
+  if (result.matchedCount === 0) {
+    throw conflict(`Only pending bids can be withdrawn. This bid is ${bid.status}.`);
+  }
+
+  res.status(200).send({ message: 'Bid withdrawn.', bidStatus: BID_STATUS.WITHDRAWN });
+});
+
+// GETting all bids made by the current user, each joined with a summary of its task
+// ?status=pending,accepted&sort=newest|oldest|deadline&page=&limit=
+router.get('/my-bids', verifyToken, validateRequest, async (req, res) => {
+  const { bidsCollection } = req.app.locals;
+  // The bidder is taken from the verified token; any bidderEmail query parameter is ignored.
+  const myBidsQuery = parseMyBidsQuery(req.query);
+  if (myBidsQuery.errors) {
+    throw validationError(myBidsQuery.errors, 'Invalid bid filters.');
+  }
+
+  const totalBids = await bidsCollection.countDocuments(myBidsFilter(req.user, myBidsQuery));
+  const bids = await bidsCollection.aggregate(buildMyBidsPipeline(req.user, myBidsQuery)).toArray();
+
+  // Sending one page of bids (could be empty)
+  res.status(200).send({ bids, totalBids, ...pageMeta(totalBids, myBidsQuery) });
+
+});
+
+module.exports = router;
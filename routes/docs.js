@@ -0,0 +1,39 @@
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+
+// Mounted at /api/v1. The OpenAPI document is built once by createApp and kept in app.locals.
+const router = express.Router();
+
+// GETting the OpenAPI document
+router.get('/openapi.json', (req, res) => {
+  res.status(200).send(req.app.locals.openApiSpec);
+});
+
+// Swagger UI's scripts and styles, served from the installed swagger-ui-dist package
+router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+// GETting a browsable page for the document (Swagger UI)
+router.get('/docs', (req, res) => {
+  const htmlResponse = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>GigConnect API</title>
+      <link rel="stylesheet" href="docs/swagger-ui.css">
+    </head>
+    <body>
+      <div id="swagger-ui"></div>
+      <script src="docs/swagger-ui-bundle.js"></script>
+      <script>
+        window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+      </script>
+    </body>
+    </html>
+  `;
+  res.setHeader('Content-Type', 'text/html');
+  res.status(200).send(htmlResponse);
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const { version } = require('../package.json');
+const { checkDatabase } = require('../lib/health');
+
+// Mounted at /. Probes for load balancers and orchestrators, outside /api/v1 and its OpenAPI document.
+const router = express.Router();
+
+// GETting liveness: the process is up and serving requests. The database isn't checked, so an outage
+// there doesn't get the server restarted.
+router.get('/healthz', (req, res) => {
+  res.status(200).send({ status: 'ok', version, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// GETting readiness: 200 while the database answers, 503 when it doesn't or the server is shutting down
+router.get('/readyz', async (req, res) => {
+  if (req.app.locals.draining) {
+    return res.status(503).send({ status: 'shutting_down' });
+  }
+
+  const { error, ...database } = await checkDatabase(req.app.locals.pingDatabase);
+  if (error) {
+    req.log.warn('Readiness check failed: the database did not answer', { error });
+    return res.status(503).send({ status: 'unavailable', database });
+  }
+  res.status(200).send({ status: 'ready', database });
+});
+
+module.exports = router;
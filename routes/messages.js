@@ -0,0 +1,140 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/openapi');
+const { isTaskCreator, isOwnBid } = require('../middleware/permissions');
+const { validate } = require('../lib/validation');
+const { badRequest, validationError, forbidden, notFound, conflict } = require('../lib/errors');
+const { messageSchema } = require('../lib/schemas');
+const { parsePagination, pageMeta } = require('../lib/pagination');
+const {
+  THREAD_ROLES,
+  archiveReasonFor,
+  touchThread,
+  markThreadRead,
+  presentThread,
+  encodeCursor,
+  cursorFilter,
+  myThreadsFilter,
+  buildMyThreadsPipeline,
+  buildUnreadTotalPipeline
+} = require('../lib/threads');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+// A thread is addressed through the bid that links its bidder to the task: /tasks/:taskId/bids/:bidId/messages
+const router = express.Router();
+
+// Loads the task, the bid and the caller's role in their thread; throws when the caller may not
+// access it. Trashed tasks are loaded too, so their archived threads stay readable.
+const loadThread = async (req) => {
+  const { tasksCollection, bidsCollection, threadsCollection } = req.app.locals;
+  const { taskId, bidId } = req.params;
+  if (!ObjectId.isValid(taskId)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+  if (!ObjectId.isValid(bidId)) {
+    throw badRequest('Invalid Bid ID format.');
+  }
+
+  const task = await tasksCollection.findOne({ _id: new ObjectId(taskId) });
+  if (!task) {
+    throw notFound('Task not found.');
+  }
+  const bid = await bidsCollection.findOne({ _id: new ObjectId(bidId), taskId: task._id });
+  if (!bid) {
+    throw notFound('Bid not found for this task.');
+  }
+
+  const role = isTaskCreator(task, req.user) ? THREAD_ROLES.CREATOR : isOwnBid(bid, req.user) ? THREAD_ROLES.BIDDER : null;
+  if (!role) {
+    throw forbidden('Only the task creator and this bidder can access this thread.');
+  }
+  const thread = await threadsCollection.findOne({ taskId: task._id, bidderEmail: bid.bidderEmail });
+  return { task, bid, role, thread };
+};
+
+// POSTing a message to the thread between the task's creator and this bidder; the first message opens it
+router.post('/tasks/:taskId/bids/:bidId/messages', verifyToken, rateLimit('writes'), validateRequest, async (req, res) => {
+  const { threadsCollection, messagesCollection } = req.app.locals;
+  const { task, bid, role, thread } = await loadThread(req);
+
+  const archivedReason = thread && thread.archivedAt ? thread.archivedReason : archiveReasonFor(task, bid.bidderEmail);
+  if (archivedReason) {
+    throw conflict('This thread is archived and no longer accepts messages.', 'THREAD_ARCHIVED', { archivedReason });
+  }
+
+  const { value, errors } = validate(messageSchema, req.body);
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid message.');
+  }
+
+  const now = new Date();
+  const text = value.text.trim();
+  const updated = await touchThread(threadsCollection, { task, bid, role, text, now });
+  const result = await messagesCollection.insertOne({
+    threadId: updated._id,
+    taskId: task._id,
+    senderEmail: req.user.email,
+    senderName: req.user.name || null,
+    senderRole: role,
+    text,
+    createdAt: now
+  });
+  res.status(201).send({ message: 'Message sent.', messageId: result.insertedId, threadId: updated._id });
+});
+
+// GETting the thread's messages, newest first: ?limit= (default 10) and ?before=<nextCursor> for older
+// pages. Opening the first page marks the thread read for the caller.
+router.get('/tasks/:taskId/bids/:bidId/messages', verifyToken, validateRequest, async (req, res) => {
+  const { threadsCollection, messagesCollection } = req.app.locals;
+  const { role, thread } = await loadThread(req);
+
+  const { limit } = parsePagination(req.query);
+  const before = req.query.before === undefined ? {} : cursorFilter(req.query.before);
+  if (!before) {
+    throw badRequest('Invalid cursor.');
+  }
+  if (!thread) {
+    return res.status(200).send({ thread: null, messages: [], nextCursor: null });
+  }
+
+  const page = await messagesCollection.find({ threadId: thread._id, ...before })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+  const messages = page.slice(0, limit);
+  const nextCursor = page.length > limit ? encodeCursor(messages[messages.length - 1]) : null;
+
+  let current = thread;
+  if (req.query.before === undefined) {
+    await markThreadRead(threadsCollection, thread, role, new Date());
+    current = await threadsCollection.findOne({ _id: thread._id });
+  }
+  res.status(200).send({ thread: presentThread(current, role), messages, nextCursor });
+});
+
+// GETting the caller's threads, most recently active first, with unread counts (?archived=true|false)
+router.get('/threads', verifyToken, validateRequest, async (req, res) => {
+  const { threadsCollection } = req.app.locals;
+  const { archived } = req.query;
+  if (archived !== undefined && archived !== 'true' && archived !== 'false') {
+    throw badRequest('archived must be true or false.');
+  }
+  const pagination = parsePagination(req.query);
+  const filter = myThreadsFilter(req.user, { archived: archived === undefined ? undefined : archived === 'true' });
+
+  const [threads, totalThreads, [unread]] = await Promise.all([
+    threadsCollection.aggregate(buildMyThreadsPipeline(filter, pagination)).toArray(),
+    threadsCollection.countDocuments(filter),
+    threadsCollection.aggregate(buildUnreadTotalPipeline(myThreadsFilter(req.user), req.user)).toArray()
+  ]);
+  res.status(200).send({
+    threads: threads.map(thread => presentThread(thread, thread.creatorEmail === req.user.email ? THREAD_ROLES.CREATOR : THREAD_ROLES.BIDDER)),
+    totalThreads,
+    unreadCount: unread ? unread.unread : 0,
+    ...pageMeta(totalThreads, pagination)
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/openapi');
+const { parsePagination, pageMeta } = require('../lib/pagination');
+const { badRequest, notFound } = require('../lib/errors');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+const router = express.Router();
+
+// GETting the caller's notifications, newest first (?unread=true for unread ones only)
+router.get('/notifications', verifyToken, validateRequest, async (req, res) => {
+  const { notificationsCollection } = req.app.locals;
+  const pagination = parsePagination(req.query);
+  const mine = { recipientEmail: req.user.email };
+  const filter = req.query.unread === 'true' ? { ...mine, read: false } : mine;
+
+  const [notifications, totalNotifications, unreadCount] = await Promise.all([
+    notificationsCollection.find(filter).sort({ createdAt: -1, _id: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+    notificationsCollection.countDocuments(filter),
+    notificationsCollection.countDocuments({ ...mine, read: false })
+  ]);
+  res.status(200).send({ notifications, totalNotifications, unreadCount, ...pageMeta(totalNotifications, pagination) });
+});
+
+// POSTing read receipts for all of the caller's unread notifications
+router.post('/notifications/read-all', verifyToken, rateLimit('writes'), validateRequest, async (req, res) => {
+  const { notificationsCollection } = req.app.locals;
+  const result = await notificationsCollection.updateMany(
+    { recipientEmail: req.user.email, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  res.status(200).send({ message: 'All notifications marked as read.', modifiedCount: result.modifiedCount });
+});
+
+// POSTing a read receipt for one of the caller's notifications; other users' notifications are a 404
+router.post('/notifications/:id/read', verifyToken, rateLimit('writes'), validateRequest, async (req, res) => {
+  const { notificationsCollection } = req.app.locals;
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    throw badRequest('Invalid Notification ID format.');
+  }
+
+  const notification = await notificationsCollection.findOne({ _id: new ObjectId(id), recipientEmail: req.user.email });
+  if (!notification) {
+    throw notFound('Notification not found.');
+  }
+  if (!notification.read) {
+    await notificationsCollection.updateOne({ _id: notification._id }, { $set: { read: true, readAt: new Date() } });
+  }
+  res.status(200).send({ message: 'Notification marked as read.' });
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/openapi');
+const { validate } = require('../lib/validation');
+const { badRequest, validationError, forbidden, notFound, conflict } = require('../lib/errors');
+const { reviewSchema } = require('../lib/schemas');
+const { TASK_STATUS, getTaskStatus } = require('../lib/lifecycle');
+const { NOT_DELETED } = require('../lib/trash');
+const { reviewTargetFor, presentReview, reputationFor, findUserByUid } = require('../lib/reviews');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+const router = express.Router();
+
+const DUPLICATE_KEY_ERROR = 11000;
+const RECENT_REVIEWS = 10;
+
+const duplicateReview = () => conflict('You have already reviewed this task.', 'DUPLICATE_REVIEW');
+
+// POSTing a review of the other party on a completed task: the creator reviews the awarded bidder and vice versa
+router.post('/tasks/:taskId/reviews', verifyToken, rateLimit('writes'), validateRequest, async (req, res) => {
+  const { tasksCollection, reviewsCollection } = req.app.locals;
+  const { taskId } = req.params;
+  if (!ObjectId.isValid(taskId)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+
+  const task = await tasksCollection.findOne({ _id: new ObjectId(taskId), ...NOT_DELETED });
+  if (!task) {
+    throw notFound('Task not found.');
+  }
+  const target = reviewTargetFor(task, req.user);
+  if (!target) {
+    throw forbidden('Only the task creator and the awarded bidder can review this task.');
+  }
+  if (getTaskStatus(task) !== TASK_STATUS.COMPLETED) {
+    throw conflict(`Reviews open once the task is completed. This task is ${getTaskStatus(task)}.`);
+  }
+  if (await reviewsCollection.findOne({ taskId: task._id, reviewerEmail: req.user.email })) {
+    throw duplicateReview();
+  }
+
+  const { value, errors } = validate(reviewSchema, req.body);
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid review.');
+  }
+
+  try {
+    const result = await reviewsCollection.insertOne({
+      taskId: task._id,
+      taskTitle: task.title,
+      reviewerEmail: req.user.email,
+      reviewerUid: req.user.uid,
+      reviewerName: req.user.name || null,
+      reviewerRole: target.role,
+      revieweeEmail: target.reviewee.email,
+      revieweeUid: target.reviewee.uid || null,
+      revieweeName: target.reviewee.name || null,
+      ...value,
+      createdAt: new Date()
+    });
+    res.status(201).send({ message: 'Review submitted.', reviewId: result.insertedId });
+  } catch (error) {
+    // The unique (taskId, reviewerEmail) index catches two reviews racing past the check above
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      throw duplicateReview();
+    }
+    throw error;
+  }
+});
+
+// GETting a user's public profile: name, reputation and latest reviews received. Emails are never shown.
+router.get('/users/:uid/profile', validateRequest, async (req, res) => {
+  const { reviewsCollection } = req.app.locals;
+  const user = await findUserByUid(req.app.locals, req.params.uid);
+  if (!user) {
+    throw notFound('User not found.');
+  }
+
+  const [reputations, recentReviews] = await Promise.all([
+    reputationFor(req.app.locals, [user.email]),
+    reviewsCollection.find({ revieweeEmail: user.email }).sort({ createdAt: -1, _id: -1 }).limit(RECENT_REVIEWS).toArray()
+  ]);
+  res.status(200).send({
+    uid: user.uid,
+    name: user.name,
+    reputation: reputations.get(user.email),
+    recentReviews: recentReviews.map(presentReview)
+  });
+});
+
+module.exports = router;
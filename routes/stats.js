@@ -0,0 +1,43 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/openapi');
+const { requireTaskCreator } = require('../middleware/permissions');
+const {
+  taskBidStatsPipeline,
+  emptyTaskBidStats,
+  userTaskStatsPipeline,
+  userBidStatsPipeline,
+  emptyUserStats,
+  categoryStatsPipeline,
+  withAllCategories
+} = require('../lib/analytics');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+const router = express.Router();
+
+// GETting bid statistics for one task (creator only, since they reveal bid amounts)
+router.get('/tasks/:id/stats', verifyToken, validateRequest, requireTaskCreator('id', 'view the statistics of'), async (req, res) => {
+  const { bidsCollection } = req.app.locals;
+  const { task } = req;
+  const [stats] = await bidsCollection.aggregate(taskBidStatsPipeline(task)).toArray();
+  res.status(200).send({ taskId: task._id, ...(stats || emptyTaskBidStats(task)) });
+});
+
+// GETting the caller's dashboard totals
+router.get('/my-stats', verifyToken, validateRequest, async (req, res) => {
+  const { tasksCollection, bidsCollection } = req.app.locals;
+  const [[taskStats], [bidStats]] = await Promise.all([
+    tasksCollection.aggregate(userTaskStatsPipeline(req.user)).toArray(),
+    bidsCollection.aggregate(userBidStatsPipeline(req.user)).toArray()
+  ]);
+  res.status(200).send({ ...emptyUserStats, ...taskStats, ...bidStats });
+});
+
+// GETting site-wide statistics per category (public, for the homepage)
+router.get('/stats/categories', validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  const rows = await tasksCollection.aggregate(categoryStatsPipeline()).toArray();
+  res.status(200).send(withAllCategories(rows));
+});
+
+module.exports = router;
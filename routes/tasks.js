@@ -0,0 +1,287 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyToken, optionalVerifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/openapi');
+const { visibleBids, requireTaskCreator } = require('../middleware/permissions');
+const { validate } = require('../lib/validation');
+const { badRequest, validationError, notFound, conflict } = require('../lib/errors');
+const { taskSchema } = require('../lib/schemas');
+const { parseTaskListQuery, buildTaskListPipeline } = require('../lib/taskQuery');
+const { parsePagination, pageMeta } = require('../lib/pagination');
+const { myPostedTasksFilter, buildMyPostedTasksPipeline } = require('../lib/myViews');
+const { EVENT_TYPES, emitEvent, liveBidders } = require('../lib/notifications');
+const { parseFeaturedQuery, buildFeaturedPipeline } = require('../lib/featured');
+const { TASK_STATUS, BID_STATUS, getTaskStatus, canTransitionTask, isTaskStatus, isTaskEditable } = require('../lib/lifecycle');
+const { NOT_DELETED, getRetentionDays, purgeDateFor, cancelBidsOfTrashedTask, restoreBidsOfTrashedTask } = require('../lib/trash');
+const { archiveThreadsOfTrashedTask, archiveThreadsOfCancelledTask, restoreThreadsOfTrashedTask } = require('../lib/threads');
+
+// Mounted at /api/v1. Collections are read from req.app.locals (see createApp).
+const router = express.Router();
+
+// --- Task API Endpoints ---
+
+// POSTing a new task
+router.post('/tasks', verifyToken, rateLimit('tasks'), validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  if (!req.body) {
+    throw badRequest('Request body is missing or not in JSON format. Ensure Content-Type is application/json.');
+  }
+
+  // Validated against the task schema; unknown fields are dropped
+  const { value: taskData, errors } = validate(taskSchema, { ...req.body, creatorName: req.body.creatorName || req.user.name });
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid task data.');
+  }
+
+  // The creator is always the authenticated caller, never whoever the body claims to be
+  taskData.creatorEmail = req.user.email;
+  taskData.creatorUid = req.user.uid;
+
+  // Added a timestamp for when the task was created
+  taskData.createdAt = new Date();
+  // Every new task starts open for bidding
+  taskData.status = TASK_STATUS.OPEN;
+
+  const result = await tasksCollection.insertOne(taskData);
+  res.status(201).send({ message: 'Task created successfully', taskId: result.insertedId });
+});
+
+// GETting all tasks, with optional filters:
+// ?category=&minBudget=&maxBudget=&deadlineFrom=&deadlineTo=&search=&sort=newest|budget_asc|budget_desc|deadline|most_bids|relevance
+router.get('/tasks', validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  const listQuery = parseTaskListQuery(req.query);
+  if (listQuery.errors) {
+    throw validationError(listQuery.errors, 'Invalid task filters.');
+  }
+  const { filter } = listQuery;
+
+  // Get the total count of matching tasks for pagination metadata
+  const totalTasks = await tasksCollection.countDocuments(filter);
+
+  const tasks = await tasksCollection.aggregate(buildTaskListPipeline(listQuery)).toArray();
+  res.status(200).send({
+    tasks,
+    totalTasks,
+    ...pageMeta(totalTasks, listQuery)
+  });
+});
+
+// GETting all tasks posted by the current user, newest first, paginated like GET /api/v1/tasks,
+// each with its bidCount
+// This route must be defined BEFORE '/api/v1/tasks/:id' to avoid misinterpreting 'my-posted-tasks' as an ID.
+router.get('/tasks/my-posted-tasks', verifyToken, validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  // The creator is taken from the verified token; any creatorEmail query parameter is ignored.
+  const pagination = parsePagination(req.query);
+
+  const totalTasks = await tasksCollection.countDocuments(myPostedTasksFilter(req.user));
+  const tasks = await tasksCollection.aggregate(buildMyPostedTasksPipeline(req.user, pagination)).toArray();
+  res.status(200).send({ tasks, totalTasks, ...pageMeta(totalTasks, pagination) });
+});
+
+// GETting the caller's trashed tasks, newest first, with the date each will be purged
+// Like my-posted-tasks, this must be defined BEFORE '/api/v1/tasks/:id'.
+router.get('/tasks/trash', verifyToken, validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  const retentionDays = getRetentionDays();
+  const trashed = await tasksCollection.find({ creatorEmail: req.user.email, deletedAt: { $ne: null } })
+    .sort({ deletedAt: -1 })
+    .toArray();
+  res.status(200).send(trashed.map(task => ({ ...task, purgeAt: purgeDateFor(task, retentionDays) })));
+});
+
+// POSTing a restore of a trashed task; its task_cancelled bids get their previous status back
+router.post('/tasks/:id/restore', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('id', 'restore', { trashed: true }), async (req, res) => {
+  const { tasksCollection, bidsCollection, threadsCollection } = req.app.locals;
+  const { task } = req;
+  const result = await tasksCollection.updateOne(
+    { _id: task._id, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: '' }, $set: { updatedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) {
+    throw notFound('Task not found in trash.');
+  }
+  const bids = await restoreBidsOfTrashedTask(bidsCollection, task._id);
+  await restoreThreadsOfTrashedTask(threadsCollection, task._id);
+  res.status(200).send({ message: 'Task restored.', bidsRestored: bids.modifiedCount });
+});
+
+// GETting featured tasks: open tasks ranked by budget, recency, bid activity and deadline urgency
+// ?category=&limit= (default 6). Results are cached until tasks or bids change (see lib/featured.js).
+router.get('/featured-tasks', validateRequest, async (req, res) => {
+  const { tasksCollection, featuredCache, featuredWeights } = req.app.locals;
+  const featuredQuery = parseFeaturedQuery(req.query);
+  if (featuredQuery.errors) {
+    throw validationError(featuredQuery.errors, 'Invalid featured filters.');
+  }
+
+  const cacheKey = `${featuredQuery.category || '*'}:${featuredQuery.limit}`;
+  const cached = featuredCache.get(cacheKey);
+  if (cached) {
+    return res.status(200).send(cached);
+  }
+
+  const generation = featuredCache.generation;
+  const featuredTasks = await tasksCollection.aggregate(buildFeaturedPipeline(featuredQuery, { weights: featuredWeights })).toArray();
+  featuredCache.set(cacheKey, featuredTasks, generation);
+  res.status(200).send(featuredTasks);
+});
+
+// GETting a single task by ID
+router.get('/tasks/:id', optionalVerifyToken, validateRequest, async (req, res) => {
+  const { tasksCollection } = req.app.locals;
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+
+  const taskObjectId = new ObjectId(id);
+
+  // Use aggregation pipeline to fetch the task and its associated bids
+  const aggregationPipeline = [
+    {
+      $match: { _id: taskObjectId, ...NOT_DELETED } // Match the specific task, unless it is in the trash
+    },
+    {
+      $lookup: {
+        from: "bids", // The name of the bids collection
+        localField: "_id", // Field from the tasks collection (task's _id)
+        foreignField: "taskId", // Field from the bids collection (bid's taskId)
+        as: "bids" // The new array field to add to the task document
+      }
+    }
+  ];
+
+  const [task] = await tasksCollection.aggregate(aggregationPipeline).toArray(); // The result of aggregation is an array
+  if (!task) {
+    throw notFound('Task not found.');
+  }
+
+  // Creator sees every bid, a bidder only their own, everyone else just the count
+  const { bids, bidCount } = visibleBids(task, task.bids, req.user);
+  res.status(200).send({ ...task, bids, bidCount });
+});
+
+// PUTting (updating) a task by ID
+router.put('/tasks/:id', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('id', 'edit'), async (req, res) => {
+  const { tasksCollection, bidsCollection } = req.app.locals;
+  const { id } = req.params;
+  const updatePayload = { ...req.body };
+
+  if (!ObjectId.isValid(id)) {
+    throw badRequest('Invalid Task ID format.');
+  }
+  if (Object.keys(updatePayload).length === 0) { // Checked the copy
+      throw badRequest('Request body is empty. No update data provided.');
+  }
+  if (!isTaskEditable(req.task)) {
+    throw conflict(`A task that is ${getTaskStatus(req.task)} can no longer be edited.`);
+  }
+  req.log.debug('Updating task', { taskId: id, fields: Object.keys(updatePayload) });
+
+  // Partial validation: only the fields sent are checked. _id, creator identity, lifecycle fields
+  // and anything else outside the task schema are dropped.
+  const { value: updateFields, errors } = validate(taskSchema, updatePayload, { partial: true });
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid task data.');
+  }
+  if (Object.keys(updateFields).length === 0) {
+    throw badRequest(`No updatable fields provided. Updatable fields are: ${Object.keys(taskSchema).filter(f => !taskSchema[f].immutable).join(', ')}.`);
+  }
+  const changedFields = Object.keys(updateFields);
+  // Added a timestamp for the update
+  updateFields.updatedAt = new Date();
+
+  const result = await tasksCollection.updateOne(
+    { _id: new ObjectId(id) },
+    {
+      $set: updateFields, // Only validated fields
+      // A moved deadline gets its own "deadline approaching" reminder
+      ...(updateFields.deadline !== undefined ? { $unset: { deadlineReminderSentAt: '' } } : {})
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw notFound('Task not found.');
+  }
+  if (result.modifiedCount === 0 && result.matchedCount === 1) {
+      return res.status(200).send({ message: 'Task found but no changes were applied (data might be the same).', modifiedCount: 0 });
+  }
+
+  await emitEvent(req, {
+    type: EVENT_TYPES.TASK_UPDATED,
+    task: { ...req.task, ...updateFields },
+    recipients: await liveBidders(bidsCollection, req.task._id),
+    data: { changedFields }
+  });
+
+  res.status(200).send({ message: 'Task updated successfully', modifiedCount: result.modifiedCount });
+});
+
+// DELETEd a task by ID: moves it to the trash and marks its live bids task_cancelled.
+// It is purged for good once the retention window (TRASH_RETENTION_DAYS) has passed.
+router.delete('/tasks/:id', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('id', 'delete'), async (req, res) => {
+  const { tasksCollection, bidsCollection, threadsCollection } = req.app.locals;
+  const { task } = req;
+  const now = new Date();
+  const result = await tasksCollection.updateOne({ _id: task._id, ...NOT_DELETED }, { $set: { deletedAt: now } });
+  if (result.matchedCount === 0) {
+    throw notFound('Task not found.');
+  }
+  // Looked up before the cancellation, which changes the bids' status
+  const bidders = await liveBidders(bidsCollection, task._id);
+  await cancelBidsOfTrashedTask(bidsCollection, task._id, now);
+  await archiveThreadsOfTrashedTask(threadsCollection, task._id, now);
+  await emitEvent(req, { type: EVENT_TYPES.TASK_DELETED, task, recipients: bidders });
+  res.status(204).send(); // Standard practice for successful deletion with no content to return
+});
+
+// PATCHing a task's status (in_progress, completed, cancelled); awarding goes through the accept endpoint
+router.patch('/tasks/:id/status', verifyToken, rateLimit('writes'), validateRequest, requireTaskCreator('id', 'change the status of'), async (req, res) => {
+  const { tasksCollection, bidsCollection, threadsCollection } = req.app.locals;
+  const { task } = req;
+  const { status } = req.body || {};
+
+  if (!isTaskStatus(status)) {
+    throw badRequest(`Invalid status. Allowed statuses are: ${Object.values(TASK_STATUS).join(', ')}.`);
+  }
+  if (status === TASK_STATUS.AWARDED) {
+    throw badRequest('A task is awarded by accepting one of its bids.');
+  }
+
+  const currentStatus = getTaskStatus(task);
+  if (!canTransitionTask(currentStatus, status)) {
+    throw conflict(`Cannot move a task from ${currentStatus} to ${status}.`);
+  }
+
+  const now = new Date();
+  // Matching on the status we validated against blocks racing transitions
+  const currentStatusFilter = currentStatus === TASK_STATUS.OPEN ? { $in: [TASK_STATUS.OPEN, null] } : currentStatus;
+  const result = await tasksCollection.updateOne(
+    { _id: task._id, status: currentStatusFilter },
+    { $set: { status, updatedAt: now } }
+  );
+  if (result.matchedCount === 0) {
+    throw conflict('The task status changed in the meantime. Reload and try again.');
+  }
+
+  // Cancelling closes out the bids still waiting on a decision and the one that won, and every conversation
+  if (status === TASK_STATUS.CANCELLED) {
+    await bidsCollection.updateMany(
+      { taskId: task._id, status: BID_STATUS.PENDING },
+      { $set: { status: BID_STATUS.REJECTED, decidedAt: now } }
+    );
+    await bidsCollection.updateMany(
+      { taskId: task._id, status: BID_STATUS.ACCEPTED },
+      { $set: { status: BID_STATUS.TASK_CANCELLED, taskCancelledAt: now } }
+    );
+    await archiveThreadsOfCancelledTask(threadsCollection, task._id, now);
+  }
+
+  res.status(200).send({ message: 'Task status updated.', previousStatus: currentStatus, status });
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Queues deadline reminders and delivers pending outbox entries to the configured webhooks and email relay.
+// Usage: npm run deliver-notifications
+require('dotenv').config();
+const { createMongoStorage, mongoUriFromEnv, dbNameFromEnv } = require('../storage/mongo');
+const { notifyApproachingDeadlines } = require('../lib/notifications');
+const { deliverOutbox } = require('../lib/outbox');
+
+async function main() {
+  const storage = createMongoStorage({ uri: mongoUriFromEnv(), dbName: dbNameFromEnv() });
+  try {
+    const { tasksNotified } = await notifyApproachingDeadlines(storage.collections);
+    const result = await deliverOutbox(storage.collections);
+    console.log(`Sent deadline reminders for ${tasksNotified} task(s). Outbox: ${result.delivered} delivered, ${result.retrying} to retry, ${result.failed} failed.`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Error delivering notifications:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+// Applies pending data migrations (migrations/) and records them in the "migrations" collection.
+// Usage: npm run migrate             apply every pending migration
+//        npm run migrate -- --status list migrations and whether they have been applied
+require('dotenv').config();
+const { createMongoStorage, mongoUriFromEnv, dbNameFromEnv } = require('../storage/mongo');
+const { runMigrations, migrationStatus } = require('../lib/migrations');
+const { logger } = require('../lib/logger');
+
+async function main() {
+  const storage = createMongoStorage({ uri: mongoUriFromEnv(), dbName: dbNameFromEnv() });
+  try {
+    if (process.argv.includes('--status')) {
+      for (const migration of await migrationStatus(storage.database)) {
+        console.log(`${migration.status === 'applied' ? '[x]' : '[ ]'} ${migration.id} – ${migration.description}${migration.status === 'running' ? ' (running)' : ''}`);
+      }
+      return;
+    }
+
+    const { applied } = await runMigrations(storage.database, { logger });
+    if (applied.length === 0) {
+      console.log('No pending migrations.');
+    }
+    for (const { id, result } of applied) {
+      console.log(`Applied ${id}:`, JSON.stringify(result, null, 2));
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Error running migrations:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,21 @@
+// Permanently deletes tasks (and their bids and message threads) that have been in the trash longer than TRASH_RETENTION_DAYS.
+// Usage: npm run purge-trash
+require('dotenv').config();
+const { createMongoStorage, mongoUriFromEnv, dbNameFromEnv } = require('../storage/mongo');
+const { purgeTrashedTasks, getRetentionDays } = require('../lib/trash');
+
+async function main() {
+  const storage = createMongoStorage({ uri: mongoUriFromEnv(), dbName: dbNameFromEnv() });
+  try {
+    const retentionDays = getRetentionDays();
+    const result = await purgeTrashedTasks(storage.collections, { retentionDays });
+    console.log(`Purged ${result.tasksPurged} task(s), ${result.bidsPurged} bid(s) and ${result.threadsPurged} thread(s) trashed more than ${retentionDays} day(s) ago.`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Error purging trashed tasks:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,59 @@
+// Indexes the routes rely on; shared by the Mongo and in-memory storages so both behave alike.
+// [collection, key, options]
+const INDEXES = [
+  // Text index backing ?search= on GET /api/v1/tasks
+  ['tasksCollection', { title: 'text', description: 'text' }, { name: 'tasks_text_search' }],
+  // One bid per user per task; bids stored before it existed are de-duplicated by migration 002
+  ['bidsCollection', { taskId: 1, bidderEmail: 1 }, { name: 'bids_one_per_bidder', unique: true }],
+  // A user's notifications, newest first
+  ['notificationsCollection', { recipientEmail: 1, createdAt: -1 }, { name: 'notifications_by_recipient' }],
+  // Entries due for delivery
+  ['outboxCollection', { status: 1, nextAttemptAt: 1 }, { name: 'outbox_due' }],
+  // One thread per bidder per task
+  ['threadsCollection', { taskId: 1, bidderEmail: 1 }, { name: 'threads_one_per_bidder', unique: true }],
+  // A user's threads, most recently active first, from either side
+  ['threadsCollection', { creatorEmail: 1, lastMessageAt: -1 }, { name: 'threads_by_creator' }],
+  ['threadsCollection', { bidderEmail: 1, lastMessageAt: -1 }, { name: 'threads_by_bidder' }],
+  // A thread's messages, newest first (cursor pagination)
+  ['messagesCollection', { threadId: 1, createdAt: -1, _id: -1 }, { name: 'messages_by_thread' }],
+  // One review per person per task
+  ['reviewsCollection', { taskId: 1, reviewerEmail: 1 }, { name: 'reviews_one_per_reviewer', unique: true }],
+  // Reviews a user received, newest first (profiles and reputation)
+  ['reviewsCollection', { revieweeEmail: 1, createdAt: -1 }, { name: 'reviews_by_reviewee' }],
+  // Public profiles: the user behind a uid (latest task or bid), and the tasks they completed as the awardee
+  ['tasksCollection', { creatorUid: 1, createdAt: -1 }, { name: 'tasks_by_creator_uid' }],
+  ['bidsCollection', { bidderUid: 1, bidPlacedAt: -1 }, { name: 'bids_by_bidder_uid' }],
+  ['tasksCollection', { 'awardedTo.email': 1 }, { name: 'tasks_by_awardee' }]
+];
+
+// Creates every index, each on its own: one that can't be built (e.g. a unique index over duplicate
+// data) doesn't keep the others from being created. Throws afterwards, naming the ones that failed.
+const ensureIndexes = async (collections) => {
+  const failures = [];
+  for (const [collectionName, key, options] of INDEXES) {
+    try {
+      await collections[collectionName].createIndex(key, options);
+    } catch (error) {
+      failures.push(`${options.name} (${error.message})`);
+    }
+  }
+  if (failures.length > 0) {
+    throw new Error(`Could not create indexes: ${failures.join('; ')}`);
+  }
+};
+
+// Runs each [name, step] of a storage's init() even when an earlier one fails, so a missing privilege
+// for one (collMod for validators) doesn't skip the others. Returns { failures: [{ step, error }] }.
+const runSetupSteps = async (steps) => {
+  const failures = [];
+  for (const [step, run] of steps) {
+    try {
+      await run();
+    } catch (error) {
+      failures.push({ step, error });
+    }
+  }
+  return { failures };
+};
+
+module.exports = { ensureIndexes, runSetupSteps };
@@ -0,0 +1,277 @@
+const mingo = require('mingo');
+const { isDeepStrictEqual } = require('util');
+const { ObjectId } = require('mongodb');
+const { ensureIndexes, runSetupSteps } = require('./indexes');
+
+// --- In-memory storage ---
+// Implements the subset of the MongoDB driver's Collection API the routes use, on top of mingo's
+// query/aggregation engine, so the whole API runs offline (tests, local demos) without a database.
+
+const TEXT_SCORE_FIELD = '__textScore';
+
+// Copies plain objects/arrays/dates so callers can never mutate stored documents; ObjectIds are immutable
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+const duplicateKeyError = (collectionName, indexName) =>
+  Object.assign(new Error(`E11000 duplicate key error collection: ${collectionName} index: ${indexName}`), { code: 11000 });
+
+// Replaces every { $meta: 'textScore' } in a pipeline stage with a reference to the precomputed score
+const replaceTextScoreMeta = (value) => {
+  if (Array.isArray(value)) return value.map(replaceTextScoreMeta);
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    if (value.$meta === 'textScore') return `$${TEXT_SCORE_FIELD}`;
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, replaceTextScoreMeta(v)]));
+  }
+  return value;
+};
+
+class MemoryCursor {
+  constructor(produce) {
+    this.produce = produce;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.projection = null;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(count) { this.skipCount = count; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  project(projection) { this.projection = projection; return this; }
+
+  async toArray() {
+    const pipeline = [];
+    if (this.sortSpec) pipeline.push({ $sort: this.sortSpec });
+    if (this.skipCount) pipeline.push({ $skip: this.skipCount });
+    if (this.limitCount) pipeline.push({ $limit: this.limitCount });
+    if (this.projection) pipeline.push({ $project: this.projection });
+    return clone(mingo.aggregate(this.produce(), pipeline));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const document of await this.toArray()) yield document;
+  }
+}
+
+class MemoryCollection {
+  constructor(name, database) {
+    this.collectionName = name;
+    this.database = database;
+    this.documents = [];
+    this.indexSpecs = [];
+  }
+
+  // Splits a $text clause off a filter and scores documents against the collection's text index
+  applyText(filter = {}) {
+    if (!filter.$text) return { filter, documents: this.documents };
+    const { $text, ...rest } = filter;
+    const textIndex = this.indexSpecs.find(index => Object.values(index.key).includes('text'));
+    if (!textIndex) {
+      throw Object.assign(new Error('text index required for $text query'), { code: 27 });
+    }
+    const fields = Object.keys(textIndex.key).filter(field => textIndex.key[field] === 'text');
+    const terms = String($text.$search).toLowerCase().split(/\W+/).filter(Boolean);
+
+    const documents = [];
+    for (const document of this.documents) {
+      const words = fields.flatMap(field => String(document[field] || '').toLowerCase().split(/\W+/));
+      const score = terms.reduce((total, term) => total + words.filter(word => word.startsWith(term)).length, 0);
+      if (score > 0) documents.push({ ...document, [TEXT_SCORE_FIELD]: score });
+    }
+    return { filter: rest, documents };
+  }
+
+  matching(filter = {}) {
+    const { filter: rest, documents } = this.applyText(filter);
+    return mingo.find(documents, rest).all();
+  }
+
+  assertUnique(candidate, ignore) {
+    for (const index of this.indexSpecs.filter(i => i.unique)) {
+      const fields = Object.keys(index.key);
+      const applies = (doc) => !index.partialFilterExpression || new mingo.Query(index.partialFilterExpression).test(doc);
+      if (!applies(candidate)) continue;
+      const clash = this.documents.some(doc => doc !== ignore && applies(doc) &&
+        fields.every(field => String(doc[field]) === String(candidate[field])));
+      if (clash) throw duplicateKeyError(this.collectionName, index.name);
+    }
+  }
+
+  async insertOne(document) {
+    const stored = clone(document);
+    if (!stored._id) stored._id = new ObjectId();
+    this.assertUnique(stored);
+    this.documents.push(stored);
+    document._id = stored._id; // The driver adds _id to the inserted object too
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(documents) {
+    const insertedIds = {};
+    for (const [i, document] of documents.entries()) {
+      insertedIds[i] = (await this.insertOne(document)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(() => this.matching(filter).map(({ [TEXT_SCORE_FIELD]: _score, ...doc }) => doc));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [document] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return document || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.matching(filter).map(doc => doc[field]);
+    return values.filter((value, i) => values.findIndex(other => String(other) === String(value)) === i);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.update(filter, update, options, false);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.update(filter, update, options, true);
+  }
+
+  async update(filter, update, { upsert = false } = {}, single) {
+    const targets = this.matching(filter).map(match => this.documents.find(doc => String(doc._id) === String(match._id)));
+    const selected = single ? targets.slice(0, 1) : targets;
+
+    let modifiedCount = 0;
+    for (const document of selected) {
+      let candidate = clone(document);
+      if (Array.isArray(update)) {
+        // Update pipelines ([{ $set }, { $unset }]) are run as an aggregation over the single document
+        candidate = mingo.aggregate([candidate], update)[0];
+        if (isDeepStrictEqual(candidate, document)) continue; // Type-aware: a date is not its ISO string
+      } else {
+        // $setOnInsert only applies when an upsert inserts; on a match it is ignored, as in MongoDB
+        const { $setOnInsert: _insertOnly, ...operators } = update;
+        if (mingo.update(candidate, clone(operators)).length === 0) continue;
+      }
+      this.assertUnique(candidate, document);
+      Object.keys(document).forEach(key => delete document[key]);
+      Object.assign(document, candidate);
+      modifiedCount += 1;
+    }
+
+    if (selected.length === 0 && upsert) {
+      // Equality fields of the filter seed the new document, as in MongoDB
+      const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') &&
+        !(value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype)));
+      const { $setOnInsert = {}, ...rest } = update;
+      const document = { ...seed, ...clone($setOnInsert) };
+      mingo.update(document, clone(rest));
+      const { insertedId } = await this.insertOne(document);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+    }
+
+    return { acknowledged: true, matchedCount: selected.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async deleteOne(filter) {
+    return this.delete(filter, true);
+  }
+
+  async deleteMany(filter = {}) {
+    return this.delete(filter, false);
+  }
+
+  async delete(filter, single) {
+    const matches = this.matching(filter);
+    const doomed = new Set((single ? matches.slice(0, 1) : matches).map(doc => String(doc._id)));
+    const before = this.documents.length;
+    this.documents = this.documents.filter(doc => !doomed.has(String(doc._id)));
+    return { acknowledged: true, deletedCount: before - this.documents.length };
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => {
+      let stages = pipeline;
+      let documents = this.documents;
+      // A leading $match may carry $text, which mingo does not implement
+      if (stages[0] && stages[0].$match && stages[0].$match.$text) {
+        const applied = this.applyText(stages[0].$match);
+        documents = applied.documents;
+        stages = [{ $match: applied.filter }, ...stages.slice(1).map(replaceTextScoreMeta), { $unset: TEXT_SCORE_FIELD }];
+      }
+      return mingo.aggregate(documents, stages, {
+        collectionResolver: (name) => this.database.collection(name).documents
+      });
+    });
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([field, type]) => `${field}_${type}`).join('_');
+    if (!this.indexSpecs.some(index => index.name === name)) {
+      const spec = { name, key, unique: Boolean(options.unique), partialFilterExpression: options.partialFilterExpression };
+      // Like MongoDB, a unique index can't be built over documents that already break it
+      if (spec.unique) {
+        const applies = (doc) => !spec.partialFilterExpression || new mingo.Query(spec.partialFilterExpression).test(doc);
+        const seen = new Set();
+        for (const doc of this.documents.filter(applies)) {
+          const value = JSON.stringify(Object.keys(key).map(field => String(doc[field])));
+          if (seen.has(value)) throw duplicateKeyError(this.collectionName, name);
+          seen.add(value);
+        }
+      }
+      this.indexSpecs.push(spec);
+    }
+    return name;
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name, this));
+    return this.collections.get(name);
+  }
+}
+
+// Same shape as createMongoStorage: { database, collections, connect(), ping(), init(), close() }
+const createMemoryStorage = () => {
+  const database = new MemoryDatabase();
+  const collections = {
+    tasksCollection: database.collection('tasks'),
+    bidsCollection: database.collection('bids'),
+    notificationsCollection: database.collection('notifications'),
+    outboxCollection: database.collection('outbox'),
+    threadsCollection: database.collection('threads'),
+    messagesCollection: database.collection('messages'),
+    reviewsCollection: database.collection('reviews')
+  };
+
+  return {
+    database,
+    collections,
+    connect: async () => {},
+    ping: async () => ({ latencyMs: 0, version: null }),
+    init: () => runSetupSteps([['indexes', () => ensureIndexes(collections)]]),
+    close: async () => {}
+  };
+};
+
+module.exports = { createMemoryStorage, MemoryCollection, MemoryDatabase };
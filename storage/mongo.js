@@ -0,0 +1,72 @@
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const { installCollectionValidators } = require('../lib/schemas');
+const { ensureIndexes, runSetupSteps } = require('./indexes');
+
+// Connection settings shared by the server and the CLI scripts.
+// MONGODB_URI is used as is (driver options such as serverSelectionTimeoutMS can go in its query string);
+// otherwise a mongodb+srv:// string is built from DB_USER, DB_PASS and DB_HOST (e.g. cluster0.abc123.mongodb.net).
+const mongoUriFromEnv = (env = process.env) => {
+  if (env.MONGODB_URI) return env.MONGODB_URI;
+  if (env.DB_USER && env.DB_PASS && env.DB_HOST) {
+    return `mongodb+srv://${encodeURIComponent(env.DB_USER)}:${encodeURIComponent(env.DB_PASS)}@${env.DB_HOST}/?retryWrites=true&w=majority`;
+  }
+  throw new Error('MongoDB is not configured: set MONGODB_URI, or DB_USER, DB_PASS and DB_HOST.');
+};
+
+const DEFAULT_DB_NAME = 'gigConnectDbUpgraded';
+const dbNameFromEnv = (env = process.env) => env.DB_NAME || DEFAULT_DB_NAME;
+
+// --- MongoDB storage ---
+// Returns { client, database, collections, connect(), ping(), init(), close() }; the collections are
+// handed to createApp.
+const createMongoStorage = ({ uri, dbName }) => {
+  // Created a MongoClient with a MongoClientOptions object to set the Stable API version.
+  // Not strict: buildInfo, which reports the server version in ping(), is outside the Stable API.
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: false,
+      deprecationErrors: true,
+    }
+  });
+
+  // Defined database and collections
+  const database = client.db(dbName);
+  const collections = {
+    tasksCollection: database.collection('tasks'),
+    bidsCollection: database.collection('bids'),
+    notificationsCollection: database.collection('notifications'),
+    outboxCollection: database.collection('outbox'),
+    threadsCollection: database.collection('threads'),
+    messagesCollection: database.collection('messages'),
+    reviewsCollection: database.collection('reviews')
+  };
+
+  return {
+    client,
+    database,
+    collections,
+    // Waits for the server to answer, so a wrong URI or an unreachable cluster fails at startup
+    connect: async () => {
+      await client.connect();
+      await database.command({ ping: 1 });
+    },
+    // { latencyMs, version } of a round trip to the server; rejects when it doesn't answer
+    ping: async () => {
+      const started = process.hrtime.bigint();
+      await database.command({ ping: 1 });
+      const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const { version } = await client.db('admin').command({ buildInfo: 1 });
+      return { latencyMs: Math.round(latencyMs * 10) / 10, version };
+    },
+    // Validators first, so they (not the index build) create the collections. Each step runs even if
+    // the other fails (see runSetupSteps); resolves to { failures }.
+    init: () => runSetupSteps([
+      ['validators', () => installCollectionValidators(database)],
+      ['indexes', () => ensureIndexes(collections)]
+    ]),
+    close: () => client.close()
+  };
+};
+
+module.exports = { createMongoStorage, mongoUriFromEnv, dbNameFromEnv };
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFirebaseVerifier } = require('../middleware/auth');
+
+describe('Firebase verifier', () => {
+  it('fetches certificates only when the cached ones have expired', async () => {
+    let fetches = 0;
+    let time = 1000000;
+    const verifier = createFirebaseVerifier('demo-project', {
+      fetchCerts: async () => {
+        fetches++;
+        return { certs: { known: 'CERT' }, maxAgeSeconds: 60 };
+      },
+      now: () => time
+    });
+
+    const [first, second] = await Promise.all([
+      verifier.getKey({ kid: 'known' }),
+      verifier.getKey({ kid: 'known' })
+    ]);
+    assert.equal(first, 'CERT');
+    assert.equal(second, 'CERT');
+    assert.equal(fetches, 1);
+
+    // Unknown kids are refused from the cache
+    assert.equal(await verifier.getKey({ kid: 'random-1' }), undefined);
+    assert.equal(await verifier.getKey({ kid: 'toString' }), undefined);
+    assert.equal(fetches, 1);
+
+    time += 61 * 1000;
+    assert.equal(await verifier.getKey({ kid: 'known' }), 'CERT');
+    assert.equal(fetches, 2);
+  });
+});
@@ -0,0 +1,398 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { users, daysFromNow, startServer } = require('./helpers');
+
+describe('bid routes', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const bidsPath = (taskId) => `/api/v1/tasks/${taskId}/bids`;
+
+  describe('POST /api/v1/tasks/:taskId/bids', () => {
+    it('places a pending bid as the caller', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('POST', bidsPath(taskId), {
+        as: users.bidder,
+        body: { biddingAmount: 450, proposedDeadline: daysFromNow(5), comment: 'Ready to start', bidderEmail: 'forged@example.com' }
+      });
+      assert.equal(res.status, 201);
+
+      const bid = await api.collections.bidsCollection.findOne({ _id: new ObjectId(res.body.bidId) });
+      assert.equal(bid.bidderEmail, users.bidder.email);
+      assert.equal(bid.bidderUid, users.bidder.uid);
+      assert.equal(bid.bidderName, users.bidder.name);
+      assert.deepEqual(bid.bidderDeadline, new Date(daysFromNow(5))); // Stored as a real date
+      assert.equal(bid.status, 'pending');
+      assert.equal(String(bid.taskId), taskId);
+    });
+
+    it('requires authentication', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await api.request('POST', bidsPath(taskId), { body: { biddingAmount: 1 } })).status, 401);
+    });
+
+    it('answers 400 and 404 for malformed and unknown task ids', async () => {
+      assert.equal((await api.request('POST', bidsPath('bad-id'), { as: users.bidder, body: { biddingAmount: 1 } })).status, 400);
+      assert.equal((await api.request('POST', bidsPath(new ObjectId()), { as: users.bidder, body: { biddingAmount: 1 } })).status, 404);
+    });
+
+    it('forbids bidding on your own task', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('POST', bidsPath(taskId), { as: users.creator, body: { biddingAmount: 100 } });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error.code, 'FORBIDDEN');
+    });
+
+    it('forbids bidding after the task deadline', async () => {
+      const { insertedId } = await api.collections.tasksCollection.insertOne({
+        title: 'Expired', category: 'General', budget: 10, description: 'Old task',
+        deadline: '2020-01-01', creatorEmail: users.creator.email, creatorName: users.creator.name
+      });
+      const res = await api.request('POST', bidsPath(insertedId), { as: users.bidder, body: { biddingAmount: 5 } });
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the bid body', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('POST', bidsPath(taskId), {
+        as: users.bidder,
+        body: { biddingAmount: '100', bidderDeadline: 'someday' }
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.errors.map(e => e.field), ['biddingAmount', 'bidderDeadline']);
+    });
+
+    it('allows only one bid per user per task', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      const res = await api.request('POST', bidsPath(taskId), { as: users.bidder, body: { biddingAmount: 300 } });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'DUPLICATE_BID');
+      assert.equal(res.body.error.bidId, bidId);
+      assert.match(res.body.error.message, /Edit your existing bid/);
+
+      // A rejected bid can't be edited, so the answer doesn't suggest it
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/reject`, { as: users.creator });
+      const rejected = await api.request('POST', bidsPath(taskId), { as: users.bidder, body: { biddingAmount: 300 } });
+      assert.equal(rejected.status, 409);
+      assert.match(rejected.body.error.message, /was rejected/);
+
+      // The unique index backs the check up for writes that bypass it
+      await assert.rejects(
+        api.collections.bidsCollection.insertOne({ taskId: new ObjectId(taskId), bidderEmail: users.bidder.email, status: 'pending' }),
+        { code: 11000 }
+      );
+    });
+
+    it('lets a bidder bid again after withdrawing', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId, users.bidder, { biddingAmount: 400 });
+      assert.equal((await api.request('POST', `${bidsPath(taskId)}/${bidId}/withdraw`, { as: users.bidder })).status, 200);
+
+      // Fields left out of the new bid don't carry over from the withdrawn one
+      const again = await api.request('POST', bidsPath(taskId), { as: users.bidder, body: { biddingAmount: 350 } });
+      assert.equal(again.status, 201);
+      assert.equal(again.body.bidId, bidId);
+
+      const stored = await api.collections.bidsCollection.findOne({ _id: new ObjectId(bidId) });
+      assert.equal(stored.status, 'pending');
+      assert.equal(stored.biddingAmount, 350);
+      assert.equal(stored.comment, undefined);
+      assert.equal(stored.bidderDeadline, undefined);
+      assert.equal(stored.withdrawnAt, undefined);
+      assert.equal(stored.revisions[0].biddingAmount, 400);
+      assert.equal(stored.revisions[0].comment, 'I can do this.');
+      assert.deepEqual(stored.revisions[0].changedFields, ['biddingAmount', 'bidderDeadline', 'comment']);
+      // And it can be revised again like any pending bid
+      const revise = await api.request('PATCH', `${bidsPath(taskId)}/${bidId}`, { as: users.bidder, body: { biddingAmount: 340 } });
+      assert.equal(revise.status, 200);
+    });
+
+    it('refuses bids once the task is no longer open', async () => {
+      const taskId = await api.createTask();
+      await api.request('PATCH', `/api/v1/tasks/${taskId}/status`, { as: users.creator, body: { status: 'cancelled' } });
+      const res = await api.request('POST', bidsPath(taskId), { as: users.bidder, body: { biddingAmount: 100 } });
+      assert.equal(res.status, 409);
+    });
+  });
+
+  describe('PATCH /api/v1/tasks/:taskId/bids/:bidId', () => {
+    const revise = (taskId, bidId, body, as = users.bidder) =>
+      api.request('PATCH', `${bidsPath(taskId)}/${bidId}`, { as, body });
+
+    it('revises a pending bid and keeps the history for the creator', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId, users.bidder, { biddingAmount: 400, comment: 'First offer' });
+
+      const res = await revise(taskId, bidId, { biddingAmount: 350, proposedDeadline: daysFromNow(8), comment: 'First offer' });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.changedFields, ['biddingAmount', 'bidderDeadline']);
+      assert.equal(res.body.revisionCount, 1);
+
+      const [bid] = (await api.request('GET', bidsPath(taskId), { as: users.creator })).body;
+      assert.equal(bid.biddingAmount, 350);
+      assert.equal(bid.bidderDeadline, new Date(daysFromNow(8)).toISOString());
+      assert.equal(bid.revisions.length, 1);
+      assert.equal(bid.revisions[0].biddingAmount, 400);
+      assert.equal(bid.revisions[0].comment, 'First offer');
+    });
+
+    it('validates changes and rejects no-op revisions', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId, users.bidder, { biddingAmount: 400 });
+      assert.equal((await revise(taskId, bidId, { biddingAmount: -1 })).status, 400);
+      assert.equal((await revise(taskId, bidId, { biddingAmount: 400 })).status, 400);
+      assert.equal((await revise(taskId, bidId, { status: 'accepted' })).status, 400);
+    });
+
+    it('only the bidder can edit, and only while the bid is pending', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      assert.equal((await revise(taskId, bidId, { biddingAmount: 1 }, users.creator)).status, 403);
+      assert.equal((await revise(taskId, bidId, { biddingAmount: 1 }, users.otherBidder)).status, 403);
+
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/reject`, { as: users.creator });
+      assert.equal((await revise(taskId, bidId, { biddingAmount: 1 })).status, 409);
+    });
+
+    it('answers 400 and 404 for malformed and unknown ids', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await revise('bad-id', new ObjectId(), { biddingAmount: 1 })).status, 400);
+      assert.equal((await revise(taskId, new ObjectId(), { biddingAmount: 1 })).status, 404);
+    });
+  });
+
+  describe('GET /api/v1/tasks/:taskId/bids', () => {
+    it('scopes the list to the caller\'s role', async () => {
+      const taskId = await api.createTask();
+      await api.placeBid(taskId, users.bidder);
+      await api.placeBid(taskId, users.otherBidder);
+
+      const asCreator = await api.request('GET', bidsPath(taskId), { as: users.creator });
+      assert.equal(asCreator.status, 200);
+      assert.equal(asCreator.body.length, 2);
+
+      const asBidder = await api.request('GET', bidsPath(taskId), { as: users.bidder });
+      assert.deepEqual(asBidder.body.map(b => b.bidderEmail), [users.bidder.email]);
+
+      const asViewer = await api.request('GET', bidsPath(taskId), { as: users.viewer });
+      assert.deepEqual(asViewer.body, { bidCount: 2 });
+
+      const anonymous = await api.request('GET', bidsPath(taskId));
+      assert.deepEqual(anonymous.body, { bidCount: 2 });
+    });
+
+    it('answers 400 and 404 for malformed and unknown task ids', async () => {
+      assert.equal((await api.request('GET', bidsPath('bad-id'))).status, 400);
+      assert.equal((await api.request('GET', bidsPath(new ObjectId()))).status, 404);
+    });
+  });
+
+  describe('GET /api/v1/my-bids', () => {
+    it('returns only the caller\'s bids, ignoring bidderEmail in the query', async () => {
+      const taskId = await api.createTask();
+      await api.placeBid(taskId, users.bidder);
+      await api.placeBid(taskId, users.otherBidder);
+
+      const res = await api.request('GET', `/api/v1/my-bids?bidderEmail=${users.otherBidder.email}`, { as: users.bidder });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.bids.map(b => b.bidderEmail), [users.bidder.email]);
+      assert.equal(res.body.totalBids, 1);
+    });
+
+    it('joins each bid with a summary of its task', async () => {
+      const taskId = await api.createTask({ title: 'Logo design', category: 'Graphic Design', budget: 250, deadline: daysFromNow(9) });
+      await api.placeBid(taskId);
+
+      const [bid] = (await api.request('GET', '/api/v1/my-bids', { as: users.bidder })).body.bids;
+      assert.deepEqual(bid.task, {
+        _id: taskId,
+        title: 'Logo design',
+        category: 'Graphic Design',
+        budget: 250,
+        deadline: new Date(daysFromNow(9)).toISOString(),
+        creatorName: users.creator.name,
+        status: 'open',
+        deletedAt: null
+      });
+    });
+
+    it('filters by bid status and sorts by task deadline', async () => {
+      const later = await api.createTask({ title: 'Later', deadline: daysFromNow(20) });
+      const sooner = await api.createTask({ title: 'Sooner', deadline: daysFromNow(5) });
+      const rejected = await api.createTask({ title: 'Rejected', deadline: daysFromNow(1) });
+      await api.placeBid(later);
+      await api.placeBid(sooner);
+      const rejectedBid = await api.placeBid(rejected);
+      await api.request('POST', `${bidsPath(rejected)}/${rejectedBid}/reject`, { as: users.creator });
+
+      const res = await api.request('GET', '/api/v1/my-bids?status=pending&sort=deadline', { as: users.bidder });
+      assert.deepEqual(res.body.bids.map(b => b.task.title), ['Sooner', 'Later']);
+      assert.equal(res.body.totalBids, 2);
+
+      const both = await api.request('GET', '/api/v1/my-bids?status=pending,rejected&sort=deadline', { as: users.bidder });
+      assert.deepEqual(both.body.bids.map(b => b.task.title), ['Rejected', 'Sooner', 'Later']);
+    });
+
+    it('paginates like the task listing', async () => {
+      for (const title of ['One', 'Two', 'Three']) {
+        await api.placeBid(await api.createTask({ title }));
+      }
+
+      const res = await api.request('GET', '/api/v1/my-bids?sort=oldest&limit=2&page=2', { as: users.bidder });
+      assert.deepEqual(res.body.bids.map(b => b.task.title), ['Three']);
+      assert.equal(res.body.totalBids, 3);
+      assert.equal(res.body.totalPages, 2);
+      assert.equal(res.body.currentPage, 2);
+    });
+
+    it('rejects unknown statuses and sort orders', async () => {
+      const badStatus = await api.request('GET', '/api/v1/my-bids?status=pending,lost', { as: users.bidder });
+      assert.equal(badStatus.status, 400);
+      assert.deepEqual(badStatus.body.error.errors.map(e => e.field), ['status']);
+
+      const badSort = await api.request('GET', '/api/v1/my-bids?sort=cheapest', { as: users.bidder });
+      assert.equal(badSort.status, 400);
+    });
+
+    it('requires authentication', async () => {
+      assert.equal((await api.request('GET', '/api/v1/my-bids')).status, 401);
+    });
+  });
+
+  describe('bid decisions', () => {
+    const decide = (taskId, bidId, action, as) => api.request('POST', `${bidsPath(taskId)}/${bidId}/${action}`, { as });
+
+    it('accepting a bid awards the task and rejects the other pending bids', async () => {
+      const taskId = await api.createTask();
+      const winner = await api.placeBid(taskId, users.bidder);
+      const loser = await api.placeBid(taskId, users.otherBidder);
+
+      const res = await decide(taskId, winner, 'accept', users.creator);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.rejectedCount, 1);
+
+      const task = await api.collections.tasksCollection.findOne({ _id: new ObjectId(taskId) });
+      assert.equal(task.status, 'awarded');
+      assert.equal(task.awardedTo.email, users.bidder.email);
+      assert.equal((await api.collections.bidsCollection.findOne({ _id: new ObjectId(winner) })).status, 'accepted');
+      assert.equal((await api.collections.bidsCollection.findOne({ _id: new ObjectId(loser) })).status, 'rejected');
+
+      // A second acceptance is a conflict
+      assert.equal((await decide(taskId, loser, 'accept', users.creator)).status, 409);
+    });
+
+    it('undoes the award when the bid is withdrawn during the acceptance', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId, users.bidder);
+      const other = await api.placeBid(taskId, users.otherBidder);
+
+      // The bidder withdraws right after the task has been awarded to them
+      const { tasksCollection, bidsCollection } = api.collections;
+      tasksCollection.updateOne = async function (...args) {
+        delete tasksCollection.updateOne;
+        const result = await tasksCollection.updateOne(...args);
+        await bidsCollection.updateOne({ _id: new ObjectId(bidId) }, { $set: { status: 'withdrawn' } });
+        return result;
+      };
+
+      const res = await decide(taskId, bidId, 'accept', users.creator);
+      assert.equal(res.status, 409);
+      const task = await tasksCollection.findOne({ _id: new ObjectId(taskId) });
+      assert.equal(task.status, 'open');
+      assert.equal(task.awardedTo, undefined);
+      assert.equal((await bidsCollection.findOne({ _id: new ObjectId(bidId) })).status, 'withdrawn');
+      assert.equal((await bidsCollection.findOne({ _id: new ObjectId(other) })).status, 'pending');
+    });
+
+    it('only the creator can accept or reject', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      assert.equal((await decide(taskId, bidId, 'accept', users.bidder)).status, 403);
+      assert.equal((await decide(taskId, bidId, 'reject', users.viewer)).status, 403);
+    });
+
+    it('rejects a single pending bid once', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      assert.equal((await decide(taskId, bidId, 'reject', users.creator)).status, 200);
+      assert.equal((await decide(taskId, bidId, 'reject', users.creator)).status, 409);
+    });
+
+    it('lets a bidder withdraw only their own pending bid', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      assert.equal((await decide(taskId, bidId, 'withdraw', users.otherBidder)).status, 403);
+      assert.equal((await decide(taskId, bidId, 'withdraw', users.bidder)).status, 200);
+      assert.equal((await decide(taskId, bidId, 'withdraw', users.bidder)).status, 409);
+    });
+
+    it('answers 400 and 404 for malformed and unknown bid ids', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await decide(taskId, 'bad-id', 'accept', users.creator)).status, 400);
+      assert.equal((await decide(taskId, new ObjectId(), 'accept', users.creator)).status, 404);
+    });
+  });
+
+  describe('PATCH /api/v1/tasks/:id/status', () => {
+    const setStatus = (taskId, status, as = users.creator) =>
+      api.request('PATCH', `/api/v1/tasks/${taskId}/status`, { as, body: { status } });
+
+    it('walks an awarded task through to completion', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/accept`, { as: users.creator });
+
+      assert.equal((await setStatus(taskId, 'in_progress')).status, 200);
+      assert.equal((await setStatus(taskId, 'completed')).status, 200);
+      assert.equal((await setStatus(taskId, 'cancelled')).status, 409);
+    });
+
+    it('blocks illegal transitions and unknown statuses', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await setStatus(taskId, 'completed')).status, 409);
+      assert.equal((await setStatus(taskId, 'awarded')).status, 400);
+      assert.equal((await setStatus(taskId, 'done')).status, 400);
+      assert.equal((await setStatus(taskId, 'cancelled', users.viewer)).status, 403);
+    });
+
+    it('cancelling an awarded task closes its winning bid and threads', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/accept`, { as: users.creator });
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/messages`, { as: users.bidder, body: { text: 'Starting Monday.' } });
+      await setStatus(taskId, 'in_progress');
+
+      assert.equal((await setStatus(taskId, 'cancelled')).status, 200);
+      const myBids = await api.request('GET', '/api/v1/my-bids', { as: users.bidder });
+      assert.deepEqual(myBids.body.bids.map(bid => bid.status), ['task_cancelled']);
+      const stats = await api.request('GET', '/api/v1/my-stats', { as: users.bidder });
+      assert.equal(stats.body.bidsAccepted, 0);
+      assert.equal(stats.body.totalAwardedValue, 0);
+      const reply = await api.request('POST', `${bidsPath(taskId)}/${bidId}/messages`, { as: users.creator, body: { text: 'Sorry.' } });
+      assert.equal(reply.status, 409);
+      assert.equal(reply.body.error.archivedReason, 'task_cancelled');
+    });
+
+    it('freezes task details once work has started', async () => {
+      const taskId = await api.createTask();
+      const bidId = await api.placeBid(taskId);
+      await api.request('POST', `${bidsPath(taskId)}/${bidId}/accept`, { as: users.creator });
+      const edit = () => api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: { budget: 800 } });
+
+      assert.equal((await edit()).status, 200); // Still awarded
+      await setStatus(taskId, 'in_progress');
+      assert.equal((await edit()).status, 409);
+      await setStatus(taskId, 'cancelled');
+      assert.equal((await edit()).status, 409);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Shared setup for the integration tests: an app on the in-memory storage, listening on a random port
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent'; // Request logs would drown the test output
+process.env.NODE_ENV = process.env.NODE_ENV || 'test'; // Responses are checked against the OpenAPI document
+
+const { createApp } = require('../app');
+const { createMemoryStorage } = require('../storage/memory');
+const { signLocalToken } = require('../middleware/auth');
+
+const users = {
+  creator: { uid: 'creator-uid', email: 'creator@example.com', name: 'Casey Creator' },
+  bidder: { uid: 'bidder-uid', email: 'bidder@example.com', name: 'Bailey Bidder' },
+  otherBidder: { uid: 'other-uid', email: 'other@example.com', name: 'Oakley Other' },
+  viewer: { uid: 'viewer-uid', email: 'viewer@example.com', name: 'Val Viewer' }
+};
+
+const tokenFor = (user) => signLocalToken(user);
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const validTask = (overrides = {}) => ({
+  title: 'Build a landing page',
+  category: 'Web Development',
+  budget: 500,
+  deadline: daysFromNow(14),
+  description: 'A responsive landing page for a product launch.',
+  ...overrides
+});
+
+// options are passed on to createApp (e.g. { outbox } to point deliveries at a stub server)
+const startServer = async (options) => {
+  const storage = createMemoryStorage();
+  await storage.init();
+  const app = createApp(storage, options);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // request('POST', '/api/v1/tasks', { as: users.creator, body }) -> { status, body, headers }
+  const request = async (method, path, { as, body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(as ? { Authorization: `Bearer ${tokenFor(as)}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      // Non-JSON bodies (the HTML home page) are returned as text
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  // Shortcuts for the common setup steps
+  const createTask = async (overrides = {}, as = users.creator) => {
+    const { status, body } = await request('POST', '/api/v1/tasks', { as, body: validTask(overrides) });
+    if (status !== 201) throw new Error(`createTask failed with ${status}: ${JSON.stringify(body)}`);
+    return body.taskId;
+  };
+  const placeBid = async (taskId, as = users.bidder, overrides = {}) => {
+    const { status, body } = await request('POST', `/api/v1/tasks/${taskId}/bids`, {
+      as,
+      body: { biddingAmount: 400, proposedDeadline: daysFromNow(10), comment: 'I can do this.', ...overrides }
+    });
+    if (status !== 201) throw new Error(`placeBid failed with ${status}: ${JSON.stringify(body)}`);
+    return body.bidId;
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { app, server, storage, collections: storage.collections, baseUrl, request, createTask, placeBid, close };
+};
+
+module.exports = { users, tokenFor, daysFromNow, validTask, startServer };
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { users, startServer } = require('./helpers');
+const { createLogger } = require('../lib/logger');
+
+// A logger that keeps its entries in memory
+const captureLogger = (level = 'debug') => {
+  const entries = [];
+  const stream = { write: (line) => entries.push(JSON.parse(line)) };
+  return { logger: createLogger({ level, stream }), entries };
+};
+
+describe('logger', () => {
+  it('writes leveled JSON entries with bound fields', () => {
+    const { logger, entries } = captureLogger('info');
+    logger.debug('Hidden');
+    logger.child({ requestId: 'abc' }).warn('Slow query', { durationMs: 12 });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'warn');
+    assert.equal(entries[0].msg, 'Slow query');
+    assert.equal(entries[0].requestId, 'abc');
+    assert.equal(entries[0].durationMs, 12);
+    assert.ok(!isNaN(Date.parse(entries[0].time)));
+  });
+
+  it('masks email addresses anywhere in an entry', () => {
+    const { logger, entries } = captureLogger();
+    const error = new Error('No task for casey@example.com');
+    logger.error('Lookup failed', { user: { email: 'casey@example.com' }, recipients: ['val@example.org'], error });
+
+    const [entry] = entries;
+    assert.equal(entry.user.email, 'c***@example.com');
+    assert.deepEqual(entry.recipients, ['v***@example.org']);
+    assert.equal(entry.error.message, 'No task for c***@example.com');
+    assert.ok(!JSON.stringify(entry).includes('casey@'));
+  });
+});
+
+describe('request logging and errors', () => {
+  let api;
+  let entries;
+
+  beforeEach(async () => {
+    const capture = captureLogger();
+    entries = capture.entries;
+    api = await startServer({ logger: capture.logger });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  it('logs each request with a correlation ID, route, status and latency', async () => {
+    const taskId = await api.createTask();
+    const res = await api.request('GET', `/api/v1/tasks/${taskId}`, { as: users.creator, headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(res.headers.get('x-request-id'), 'trace-123');
+
+    const entry = entries.find(e => e.requestId === 'trace-123');
+    assert.equal(entry.msg, 'Request completed');
+    assert.equal(entry.method, 'GET');
+    assert.equal(entry.route, '/api/v1/tasks/:id');
+    assert.equal(entry.status, 200);
+    assert.equal(typeof entry.durationMs, 'number');
+    assert.equal(entry.user, users.creator.uid);
+    // The task itself is not dumped into the log
+    assert.ok(!JSON.stringify(entries).includes(users.creator.email));
+  });
+
+  it('generates a correlation ID when none (or a malformed one) is sent', async () => {
+    const res = await api.request('GET', '/api/v1/featured-tasks', { headers: { 'X-Request-Id': 'bad id!' } });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('answers unexpected errors with a generic body and logs the details', async () => {
+    api.collections.tasksCollection.aggregate = () => { throw new Error('Connection reset'); };
+
+    const res = await api.request('GET', '/api/v1/featured-tasks');
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { error: { code: 'INTERNAL_ERROR', message: 'An internal server error occurred.' } });
+
+    const logged = entries.find(e => e.msg === 'Unhandled error');
+    assert.equal(logged.error.message, 'Connection reset');
+    assert.equal(logged.requestId, res.headers.get('x-request-id'));
+  });
+
+  it('includes error details in development mode only', async () => {
+    api.collections.tasksCollection.aggregate = () => { throw new Error('Connection reset'); };
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    try {
+      const res = await api.request('GET', '/api/v1/featured-tasks');
+      assert.equal(res.body.error.details.message, 'Connection reset');
+    } finally {
+      if (previous === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = previous;
+    }
+  });
+
+  it('maps malformed JSON and unknown routes to the same error shape', async () => {
+    const malformed = await fetch(`${api.baseUrl}/api/v1/tasks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"title":'
+    });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(await malformed.json(), { error: { code: 'INVALID_JSON', message: 'Request body is not valid JSON.' } });
+
+    const missing = await api.request('GET', `/api/v1/nothing-here/${new ObjectId()}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { users, startServer } = require('./helpers');
+const { purgeTrashedTasks } = require('../lib/trash');
+
+describe('message threads', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const threadPath = (taskId, bidId) => `/api/v1/tasks/${taskId}/bids/${bidId}/messages`;
+  const send = (taskId, bidId, as, text) => api.request('POST', threadPath(taskId, bidId), { as, body: { text } });
+  const readThread = (taskId, bidId, as, query = '') => api.request('GET', `${threadPath(taskId, bidId)}${query}`, { as });
+  const listThreads = (as, query = '') => api.request('GET', `/api/v1/threads${query}`, { as });
+
+  it('lets the creator and the bidder talk and tracks unread messages per side', async () => {
+    const taskId = await api.createTask({ title: 'Logo' });
+    const bidId = await api.placeBid(taskId);
+
+    const first = await send(taskId, bidId, users.bidder, '  Is a vector file needed?  ');
+    assert.equal(first.status, 201);
+    assert.equal((await send(taskId, bidId, users.bidder, 'Also, which colours?')).status, 201);
+
+    let inbox = await listThreads(users.creator);
+    assert.equal(inbox.status, 200);
+    assert.equal(inbox.body.totalThreads, 1);
+    assert.equal(inbox.body.unreadCount, 2);
+    const [thread] = inbox.body.threads;
+    assert.equal(thread._id, first.body.threadId);
+    assert.equal(thread.role, 'creator');
+    assert.equal(thread.unreadCount, 2);
+    assert.equal(thread.messageCount, 2);
+    assert.equal(thread.lastMessage.preview, 'Also, which colours?');
+    assert.deepEqual(thread.task, { _id: taskId, title: 'Logo', status: 'open' });
+    assert.equal(thread.unreadByCreator, undefined);
+
+    const opened = await readThread(taskId, bidId, users.creator);
+    assert.equal(opened.status, 200);
+    assert.deepEqual(opened.body.messages.map(m => m.text), ['Also, which colours?', 'Is a vector file needed?']);
+    assert.equal(opened.body.messages[0].senderRole, 'bidder');
+    assert.equal(opened.body.thread.unreadCount, 0);
+    assert.equal((await listThreads(users.creator)).body.unreadCount, 0);
+
+    await send(taskId, bidId, users.creator, 'Yes, an SVG please.');
+    inbox = await listThreads(users.bidder);
+    assert.equal(inbox.body.unreadCount, 1);
+    assert.equal(inbox.body.threads[0].role, 'bidder');
+  });
+
+  it('pages through a thread with a cursor', async () => {
+    const taskId = await api.createTask();
+    const bidId = await api.placeBid(taskId);
+    for (let i = 1; i <= 5; i += 1) {
+      await send(taskId, bidId, i % 2 ? users.bidder : users.creator, `Message ${i}`);
+    }
+
+    const pageOne = await readThread(taskId, bidId, users.bidder, '?limit=2');
+    assert.deepEqual(pageOne.body.messages.map(m => m.text), ['Message 5', 'Message 4']);
+    // Messages arriving between pages don't shift the older ones
+    await send(taskId, bidId, users.creator, 'Message 6');
+    const pageTwo = await readThread(taskId, bidId, users.bidder, `?limit=2&before=${pageOne.body.nextCursor}`);
+    assert.deepEqual(pageTwo.body.messages.map(m => m.text), ['Message 3', 'Message 2']);
+    const pageThree = await readThread(taskId, bidId, users.bidder, `?limit=2&before=${pageTwo.body.nextCursor}`);
+    assert.deepEqual(pageThree.body.messages.map(m => m.text), ['Message 1']);
+    assert.equal(pageThree.body.nextCursor, null);
+    // Older pages don't mark the thread read
+    assert.equal(pageThree.body.thread.unreadCount, 1);
+
+    assert.equal((await readThread(taskId, bidId, users.bidder, '?before=not-a-cursor')).status, 400);
+  });
+
+  it('keeps a thread private to the task creator and that bidder', async () => {
+    const taskId = await api.createTask();
+    const bidId = await api.placeBid(taskId);
+    const otherBidId = await api.placeBid(taskId, users.otherBidder);
+    await send(taskId, bidId, users.bidder, 'Hello');
+
+    assert.equal((await readThread(taskId, bidId, users.otherBidder)).status, 403);
+    assert.equal((await send(taskId, bidId, users.viewer, 'Hi')).status, 403);
+    assert.equal((await readThread(taskId, bidId)).status, 401);
+    // A bid on another task does not open this task's thread
+    const otherTaskId = await api.createTask();
+    assert.equal((await readThread(otherTaskId, bidId, users.creator)).status, 404);
+    assert.equal((await readThread('bad-id', bidId, users.creator)).status, 400);
+
+    assert.equal((await listThreads(users.otherBidder)).body.totalThreads, 0);
+    const untouched = await readThread(taskId, otherBidId, users.otherBidder);
+    assert.deepEqual(untouched.body, { thread: null, messages: [], nextCursor: null });
+
+    const empty = await send(taskId, bidId, users.creator, '   ');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error.errors[0].field, 'text');
+  });
+
+  it('archives the threads of losing bidders when the task is awarded', async () => {
+    const taskId = await api.createTask();
+    const winnerBidId = await api.placeBid(taskId);
+    const loserBidId = await api.placeBid(taskId, users.otherBidder);
+    await send(taskId, winnerBidId, users.bidder, 'Ready when you are.');
+    await send(taskId, loserBidId, users.otherBidder, 'Me too.');
+
+    const accept = await api.request('POST', `/api/v1/tasks/${taskId}/bids/${winnerBidId}/accept`, { as: users.creator });
+    assert.equal(accept.status, 200);
+
+    const closed = await send(taskId, loserBidId, users.creator, 'Sorry!');
+    assert.equal(closed.status, 409);
+    assert.equal(closed.body.error.archivedReason, 'awarded_to_other');
+    assert.equal((await send(taskId, winnerBidId, users.creator, 'Great, let\'s start.')).status, 201);
+
+    // Still readable once archived
+    const archived = await readThread(taskId, loserBidId, users.otherBidder);
+    assert.equal(archived.body.thread.archivedReason, 'awarded_to_other');
+    assert.equal(archived.body.messages.length, 1);
+
+    const active = await listThreads(users.creator, '?archived=false');
+    assert.equal(active.body.totalThreads, 1);
+    assert.equal((await listThreads(users.creator, '?archived=true')).body.totalThreads, 1);
+    assert.equal((await listThreads(users.creator, '?archived=maybe')).status, 400);
+  });
+
+  it('archives threads while the task is in the trash and purges them with it', async () => {
+    const taskId = await api.createTask();
+    const bidId = await api.placeBid(taskId);
+    await send(taskId, bidId, users.bidder, 'Hello');
+
+    assert.equal((await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as: users.creator })).status, 204);
+    const trashed = await send(taskId, bidId, users.bidder, 'Still there?');
+    assert.equal(trashed.status, 409);
+    assert.equal(trashed.body.error.archivedReason, 'task_deleted');
+
+    assert.equal((await api.request('POST', `/api/v1/tasks/${taskId}/restore`, { as: users.creator })).status, 200);
+    assert.equal((await send(taskId, bidId, users.bidder, 'Welcome back')).status, 201);
+
+    await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as: users.creator });
+    const { tasksCollection, threadsCollection, messagesCollection } = api.collections;
+    const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    await tasksCollection.updateOne({ _id: new ObjectId(taskId) }, { $set: { deletedAt: longAgo } });
+    const result = await purgeTrashedTasks(api.collections, { retentionDays: 30 });
+    assert.equal(result.threadsPurged, 1);
+    assert.equal(await threadsCollection.countDocuments({}), 0);
+    assert.equal(await messagesCollection.countDocuments({}), 0);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryStorage } = require('../storage/memory');
+const { runMigrations, migrationStatus, pendingRequiredMigrations, loadMigrations, MIGRATIONS_COLLECTION } = require('../lib/migrations');
+
+describe('migration runner', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    await storage.init();
+  });
+
+  const records = () => storage.database.collection(MIGRATIONS_COLLECTION).find({}).toArray();
+
+  it('applies pending migrations once, in order, and records them', async () => {
+    const calls = [];
+    const migrations = [
+      { id: '001-first', description: 'First', up: async () => { calls.push('001'); return { changed: 1 }; } },
+      { id: '002-second', description: 'Second', up: async () => { calls.push('002'); } }
+    ];
+
+    const first = await runMigrations(storage.database, { migrations });
+    assert.deepEqual(first.applied.map(m => m.id), ['001-first', '002-second']);
+    assert.deepEqual(calls, ['001', '002']);
+
+    const second = await runMigrations(storage.database, { migrations });
+    assert.deepEqual(second.applied, []);
+    assert.deepEqual(calls, ['001', '002']);
+
+    const [record] = await records();
+    assert.equal(record._id, '001-first');
+    assert.equal(record.status, 'applied');
+    assert.deepEqual(record.result, { changed: 1 });
+    assert.ok(record.appliedAt instanceof Date);
+  });
+
+  it('stops at a failing migration and lets it be retried', async () => {
+    let attempts = 0;
+    const migrations = [
+      { id: '001-flaky', description: 'Flaky', up: async () => { attempts += 1; if (attempts === 1) throw new Error('boom'); } },
+      { id: '002-after', description: 'After', up: async () => {} }
+    ];
+
+    await assert.rejects(runMigrations(storage.database, { migrations }), /Migration 001-flaky failed: boom/);
+    assert.deepEqual(await records(), []);
+
+    const retry = await runMigrations(storage.database, { migrations });
+    assert.deepEqual(retry.applied.map(m => m.id), ['001-flaky', '002-after']);
+  });
+
+  it('refuses to run a migration another runner has claimed', async () => {
+    await storage.database.collection(MIGRATIONS_COLLECTION).insertOne({ _id: '001-busy', status: 'running', startedAt: new Date() });
+    const migrations = [{ id: '001-busy', description: 'Busy', up: async () => {} }];
+    await assert.rejects(runMigrations(storage.database, { migrations }), /already running/);
+  });
+
+  it('reports the status of every known migration', async () => {
+    const migrations = loadMigrations();
+    assert.equal(migrations[0].id, '001-normalize-types');
+
+    const before = await migrationStatus(storage.database, migrations);
+    assert.equal(before[0].status, null);
+    await runMigrations(storage.database, { migrations });
+    const after = await migrationStatus(storage.database, migrations);
+    assert.equal(after[0].status, 'applied');
+  });
+
+  it('lists the required migrations that are still pending', async () => {
+    assert.deepEqual(await pendingRequiredMigrations(storage.database), ['001-normalize-types']);
+    await runMigrations(storage.database);
+    assert.deepEqual(await pendingRequiredMigrations(storage.database), []);
+  });
+});
+
+describe('migration 001-normalize-types', () => {
+  it('converts stored strings to dates and numbers and creates indexes', async () => {
+    const storage = createMemoryStorage();
+    await storage.init();
+    const { tasksCollection, bidsCollection } = storage.collections;
+    const taskId = new ObjectId();
+    await tasksCollection.insertOne({ _id: taskId, title: 'Legacy', budget: '750', deadline: '2030-05-01', createdAt: '2024-01-02T10:00:00.000Z', creatorEmail: 'c@example.com' });
+    await tasksCollection.insertOne({ title: 'Broken', budget: 'lots', deadline: 'someday', creatorEmail: 'c@example.com' });
+    await bidsCollection.insertOne({ taskId, bidderEmail: 'b@example.com', biddingAmount: '120.5', bidderDeadline: '', status: 'pending' });
+
+    const [migration] = loadMigrations();
+    const report = await migration.up(storage.database);
+
+    const legacy = await tasksCollection.findOne({ _id: taskId });
+    assert.deepEqual(legacy.deadline, new Date('2030-05-01'));
+    assert.deepEqual(legacy.createdAt, new Date('2024-01-02T10:00:00.000Z'));
+    assert.equal(legacy.budget, 750);
+
+    // Unconvertible values are kept and counted
+    const broken = await tasksCollection.findOne({ title: 'Broken' });
+    assert.equal(broken.deadline, 'someday');
+    assert.deepEqual(report['tasks.deadline'], { converted: 1, unconvertible: 1 });
+    assert.deepEqual(report['tasks.budget'], { converted: 1, unconvertible: 1 });
+
+    const bid = await bidsCollection.findOne({ taskId });
+    assert.equal(bid.biddingAmount, 120.5);
+    assert.equal(bid.bidderDeadline, null);
+
+    assert.ok(tasksCollection.indexSpecs.some(index => index.name === 'tasks_by_creator'));
+    assert.ok(tasksCollection.indexSpecs.some(index => index.name === 'tasks_by_deadline'));
+    assert.ok(bidsCollection.indexSpecs.some(index => index.name === 'bids_by_task'));
+    assert.ok(bidsCollection.indexSpecs.some(index => index.name === 'bids_by_bidder'));
+  });
+});
+
+describe('migration 002-unique-bids', () => {
+  it('keeps the bid that matters most per bidder and task, then creates the unique index', async () => {
+    const storage = createMemoryStorage();
+    const { bidsCollection } = storage.collections;
+    const taskId = new ObjectId();
+    const otherTaskId = new ObjectId();
+    await bidsCollection.insertMany([
+      { taskId, bidderEmail: 'b@example.com', status: 'withdrawn', bidPlacedAt: new Date('2025-01-03') },
+      { taskId, bidderEmail: 'b@example.com', status: 'accepted', bidPlacedAt: new Date('2025-01-01') },
+      { taskId, bidderEmail: 'b@example.com', status: 'pending', bidPlacedAt: new Date('2025-01-02') },
+      { taskId: otherTaskId, bidderEmail: 'b@example.com', status: 'pending', bidPlacedAt: new Date('2025-01-01') }
+    ]);
+
+    // The index can't be built over the duplicates, so init reports it, without skipping the other indexes
+    const { failures } = await storage.init();
+    assert.match(failures[0].error.message, /bids_one_per_bidder/);
+    assert.ok(storage.collections.reviewsCollection.indexSpecs.some(index => index.name === 'reviews_one_per_reviewer'));
+
+    const migration = loadMigrations().find(m => m.id === '002-unique-bids');
+    assert.deepEqual(await migration.up(storage.database), { groups: 1, moved: 2 });
+
+    const kept = await bidsCollection.find({ taskId }).toArray();
+    assert.deepEqual(kept.map(bid => bid.status), ['accepted']);
+    assert.equal(await storage.database.collection('bids_duplicates').countDocuments({}), 2);
+    await assert.rejects(bidsCollection.insertOne({ taskId, bidderEmail: 'b@example.com', status: 'pending' }), { code: 11000 });
+    assert.deepEqual((await storage.init()).failures, []);
+  });
+});
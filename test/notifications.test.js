@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { users, daysFromNow, startServer } = require('./helpers');
+const { notifyApproachingDeadlines } = require('../lib/notifications');
+const { deliverOutbox, signPayload, outboxConfigFromEnv } = require('../lib/outbox');
+
+const SECRET = 'webhook-test-secret';
+
+// A local receiver that records every request and answers with the next queued status (default 200)
+const startStubReceiver = async () => {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = (path) => `http://127.0.0.1:${server.address().port}${path}`;
+  const close = () => new Promise(resolve => server.close(resolve));
+  return { received, statuses, url, close };
+};
+
+describe('notifications', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer({ outbox: { webhookUrls: [], emailRelayUrl: null, secret: '', maxAttempts: 3, retryBaseSeconds: 30 } });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const listNotifications = (as, query = '') => api.request('GET', `/api/v1/notifications${query}`, { as });
+
+  it('tells the creator about a new bid and tracks read state', async () => {
+    const taskId = await api.createTask({ title: 'Logo' });
+    await api.placeBid(taskId, users.bidder, { biddingAmount: 300 });
+    await api.placeBid(taskId, users.otherBidder);
+
+    const res = await listNotifications(users.creator);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalNotifications, 2);
+    assert.equal(res.body.unreadCount, 2);
+    const [, first] = res.body.notifications;
+    assert.equal(first.type, 'bid_placed');
+    assert.equal(first.taskId, taskId);
+    assert.equal(first.message, `${users.bidder.name} bid 300 on "Logo".`);
+
+    assert.equal((await api.request('POST', `/api/v1/notifications/${first._id}/read`, { as: users.creator })).status, 200);
+    const unread = await listNotifications(users.creator, '?unread=true');
+    assert.equal(unread.body.totalNotifications, 1);
+    assert.equal(unread.body.unreadCount, 1);
+
+    const readAll = await api.request('POST', '/api/v1/notifications/read-all', { as: users.creator });
+    assert.equal(readAll.body.modifiedCount, 1);
+    assert.equal((await listNotifications(users.creator)).body.unreadCount, 0);
+
+    // Bidders are not notified about their own bids
+    assert.equal((await listNotifications(users.bidder)).body.totalNotifications, 0);
+  });
+
+  it('only lets the recipient mark a notification read', async () => {
+    await api.placeBid(await api.createTask());
+    const [notification] = (await listNotifications(users.creator)).body.notifications;
+
+    assert.equal((await api.request('POST', `/api/v1/notifications/${notification._id}/read`, { as: users.bidder })).status, 404);
+    assert.equal((await api.request('POST', '/api/v1/notifications/bad-id/read', { as: users.creator })).status, 400);
+    assert.equal((await api.request('GET', '/api/v1/notifications')).status, 401);
+  });
+
+  it('tells live bidders when a task is edited or deleted', async () => {
+    const taskId = await api.createTask({ title: 'Logo' });
+    await api.placeBid(taskId, users.bidder);
+    const withdrawn = await api.placeBid(taskId, users.otherBidder);
+    await api.request('POST', `/api/v1/tasks/${taskId}/bids/${withdrawn}/withdraw`, { as: users.otherBidder });
+
+    await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: { budget: 650 } });
+    await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as: users.creator });
+
+    const bidderNotes = (await listNotifications(users.bidder)).body.notifications;
+    assert.deepEqual(bidderNotes.map(n => n.type), ['task_deleted', 'task_updated']);
+    assert.deepEqual(bidderNotes[1].data.changedFields, ['budget']);
+    assert.equal((await listNotifications(users.otherBidder)).body.totalNotifications, 0);
+  });
+
+  it('reminds the creator and bidders once when a deadline approaches', async () => {
+    const soon = await api.createTask({ title: 'Soon', deadline: daysFromNow(1) });
+    await api.createTask({ title: 'Later', deadline: daysFromNow(10) });
+    await api.placeBid(soon);
+
+    const result = await notifyApproachingDeadlines(api.collections, { withinHours: 48 });
+    assert.deepEqual(result, { tasksNotified: 1 });
+    assert.deepEqual(await notifyApproachingDeadlines(api.collections, { withinHours: 48 }), { tasksNotified: 0 });
+
+    const [reminder] = (await listNotifications(users.bidder)).body.notifications;
+    assert.equal(reminder.type, 'deadline_approaching');
+    const creatorTypes = (await listNotifications(users.creator)).body.notifications.map(n => n.type);
+    assert.deepEqual(creatorTypes, ['deadline_approaching', 'bid_placed']);
+  });
+});
+
+describe('notification outbox', () => {
+  let api;
+  let receiver;
+  let config;
+
+  beforeEach(async () => {
+    receiver = await startStubReceiver();
+    config = { webhookUrls: [receiver.url('/hooks')], emailRelayUrl: receiver.url('/email'), secret: SECRET, maxAttempts: 2, retryBaseSeconds: 30 };
+    api = await startServer({ outbox: config });
+  });
+
+  afterEach(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  it('delivers signed webhooks and relay emails', async () => {
+    const taskId = await api.createTask({ title: 'Logo' });
+    await api.placeBid(taskId);
+
+    const result = await deliverOutbox(api.collections, { config });
+    assert.deepEqual(result, { delivered: 2, retrying: 0, failed: 0 });
+
+    const webhook = receiver.received.find(r => r.path === '/hooks');
+    assert.equal(webhook.headers['x-gigconnect-event'], 'bid_placed');
+    assert.equal(webhook.headers['x-gigconnect-signature'], signPayload(webhook.body, SECRET));
+    const event = JSON.parse(webhook.body);
+    assert.equal(event.type, 'bid_placed');
+    assert.equal(event.task._id, taskId);
+    assert.deepEqual(event.recipients, [users.creator.email]);
+
+    const email = JSON.parse(receiver.received.find(r => r.path === '/email').body);
+    assert.equal(email.to, users.creator.email);
+    assert.equal(email.subject, 'New bid on your task');
+
+    // Delivered entries are not sent again
+    assert.deepEqual(await deliverOutbox(api.collections, { config }), { delivered: 0, retrying: 0, failed: 0 });
+  });
+
+  it('refuses to deliver without a signing secret', async () => {
+    assert.throws(() => outboxConfigFromEnv({ WEBHOOK_URLS: 'https://hooks.example.com' }), /WEBHOOK_SECRET must be set/);
+    assert.throws(() => outboxConfigFromEnv({ EMAIL_RELAY_URL: 'https://mail.example.com' }), /WEBHOOK_SECRET must be set/);
+    assert.deepEqual(outboxConfigFromEnv({}).webhookUrls, []);
+
+    // Entries queued under an unsigned configuration are not sent
+    await api.placeBid(await api.createTask());
+    const unsigned = { ...config, secret: '' };
+    assert.deepEqual(await deliverOutbox(api.collections, { config: unsigned }), { delivered: 0, retrying: 2, failed: 0 });
+    assert.equal(receiver.received.length, 0);
+  });
+
+  it('retries failed deliveries with backoff and gives up after maxAttempts', async () => {
+    await api.placeBid(await api.createTask());
+    const webhookOnly = { ...config, emailRelayUrl: null };
+    await api.collections.outboxCollection.deleteMany({ channel: 'email' });
+    receiver.statuses.push(500, 500);
+
+    const now = new Date();
+    assert.deepEqual(await deliverOutbox(api.collections, { config: webhookOnly, now }), { delivered: 0, retrying: 1, failed: 0 });
+    const [entry] = await api.collections.outboxCollection.find({}).toArray();
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'Receiver answered 500');
+    assert.equal(entry.nextAttemptAt.getTime(), now.getTime() + 30 * 1000);
+
+    // Not due yet
+    assert.deepEqual(await deliverOutbox(api.collections, { config: webhookOnly, now }), { delivered: 0, retrying: 0, failed: 0 });
+
+    const later = new Date(now.getTime() + 31 * 1000);
+    assert.deepEqual(await deliverOutbox(api.collections, { config: webhookOnly, now: later }), { delivered: 0, retrying: 0, failed: 1 });
+    const [failed] = await api.collections.outboxCollection.find({}).toArray();
+    assert.equal(failed.status, 'failed');
+    assert.equal(receiver.received.length, 2);
+  });
+});
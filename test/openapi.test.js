@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { users, startServer } = require('./helpers');
+const { openApiValidator, validateRequest } = require('../middleware/openapi');
+
+describe('OpenAPI document and validation', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  it('serves the document and a docs page', async () => {
+    const res = await api.request('GET', '/api/v1/openapi.json');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.1.0');
+    for (const path of ['/tasks', '/tasks/{id}', '/tasks/{taskId}/bids', '/threads', '/users/{uid}/profile']) {
+      assert.ok(res.body.paths[path], `${path} is documented`);
+    }
+    const bidInput = res.body.components.schemas.BidInput;
+    assert.ok(bidInput.properties.proposedDeadline && bidInput.properties.bidderDeadline.deprecated);
+
+    const docs = await api.request('GET', '/api/v1/docs');
+    assert.equal(docs.status, 200);
+    assert.match(docs.headers.get('content-type'), /text\/html/);
+    assert.match(docs.body, /swagger-ui/);
+    const bundle = await api.request('GET', '/api/v1/docs/swagger-ui-bundle.js');
+    assert.equal(bundle.status, 200);
+    assert.match(bundle.headers.get('content-type'), /javascript/);
+  });
+
+  it('rejects requests that do not match the document', async () => {
+    const badQuery = await api.request('GET', '/api/v1/tasks?page=abc&sort=cheapest');
+    assert.equal(badQuery.status, 400);
+    assert.equal(badQuery.body.error.code, 'INVALID_REQUEST');
+    assert.deepEqual(badQuery.body.error.errors.map(e => e.field).sort(), ['page', 'sort']);
+
+    const badPath = await api.request('GET', '/api/v1/tasks/not-an-id');
+    assert.equal(badPath.status, 400);
+    assert.equal(badPath.body.error.errors[0].field, 'id');
+
+    const taskId = await api.createTask();
+    const badBody = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, {
+      as: users.bidder,
+      body: { biddingAmount: 'lots', proposedDeadline: 'soon' }
+    });
+    assert.equal(badBody.status, 400);
+    assert.deepEqual(badBody.body.error.errors.map(e => e.field).sort(), ['biddingAmount', 'proposedDeadline']);
+
+    // Callers are authenticated before their body is looked at
+    const anonymous = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { body: { biddingAmount: 'lots' } });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, 'UNAUTHORIZED');
+
+    // The older bidderDeadline name is still accepted
+    const legacy = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, {
+      as: users.bidder,
+      body: { biddingAmount: 300, bidderDeadline: new Date(Date.now() + 86400000).toISOString().slice(0, 10) }
+    });
+    assert.equal(legacy.status, 201);
+  });
+
+  it('replaces responses that drift from the document with a 500', async () => {
+    const spec = {
+      openapi: '3.1.0',
+      paths: {
+        '/things/{id}': {
+          get: {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+              200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } } } }
+            }
+          }
+        }
+      },
+      components: { schemas: {}, responses: {} }
+    };
+    const logged = [];
+    const app = express();
+    app.use(openApiValidator(spec, { validateResponses: true, logger: { error: (message, meta) => logged.push(meta) } }));
+    app.get('/things/unchecked', (req, res) => res.json({ name: 'Unchecked' }));
+    app.get('/things/:id', validateRequest, (req, res) => {
+      if (req.params.id === 'missing') return res.status(404).json({ message: 'Not found.' });
+      res.json(req.params.id === 'good' ? { name: 'Good' } : { name: 42 });
+    });
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const get = async (id) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/things/${id}`);
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      assert.deepEqual(await get('good'), { status: 200, body: { name: 'Good' } });
+
+      const drifted = await get('bad');
+      assert.equal(drifted.status, 500);
+      assert.equal(drifted.body.error.code, 'INVALID_RESPONSE');
+      assert.equal(drifted.body.error.details.errors[0].field, 'name');
+
+      const undocumented = await get('missing');
+      assert.equal(undocumented.status, 500);
+      assert.equal(undocumented.body.error.details.errors[0].field, 'status');
+
+      // A route that forgot validateRequest
+      const unchecked = await get('unchecked');
+      assert.equal(unchecked.status, 500);
+      assert.equal(unchecked.body.error.details.errors[0].field, 'request');
+      assert.equal(logged.length, 3);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, getTaskRole, visibleBids, isTaskCreator } = require('../middleware/permissions');
+const { users, startServer } = require('./helpers');
+
+describe('permission model', () => {
+  const task = { creatorEmail: 'creator@example.com' };
+  const bids = [
+    { bidderEmail: 'bidder@example.com', biddingAmount: 100 },
+    { bidderEmail: 'other@example.com', biddingAmount: 120 }
+  ];
+
+  it('recognises the creator', () => {
+    const creator = { email: 'creator@example.com' };
+    assert.equal(getTaskRole(task, bids, creator), ROLES.CREATOR);
+    assert.equal(isTaskCreator(task, creator), true);
+    assert.deepEqual(visibleBids(task, bids, creator), { role: ROLES.CREATOR, bids, bidCount: 2 });
+  });
+
+  it('shows a bidder only their own bid', () => {
+    const bidder = { email: 'bidder@example.com' };
+    assert.equal(getTaskRole(task, bids, bidder), ROLES.BIDDER);
+    assert.equal(isTaskCreator(task, bidder), false);
+    assert.deepEqual(visibleBids(task, bids, bidder), { role: ROLES.BIDDER, bids: [bids[0]], bidCount: 2 });
+  });
+
+  it('shows other signed-in users and anonymous callers only the count', () => {
+    for (const user of [{ email: 'viewer@example.com' }, undefined]) {
+      assert.equal(getTaskRole(task, bids, user), ROLES.VIEWER);
+      assert.equal(isTaskCreator(task, user), false);
+      assert.deepEqual(visibleBids(task, bids, user), { role: ROLES.VIEWER, bids: [], bidCount: 2 });
+    }
+  });
+});
+
+describe('permissions over HTTP', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  it('lets only the creator edit or delete, and scopes bids to each role', async () => {
+    const taskId = await api.createTask();
+    await api.placeBid(taskId, users.bidder);
+    await api.placeBid(taskId, users.otherBidder);
+
+    const expected = [
+      { role: 'creator', as: users.creator, edit: 200, bids: 2 },
+      { role: 'bidder', as: users.bidder, edit: 403, bids: 1 },
+      { role: 'viewer', as: users.viewer, edit: 403, bids: 0 },
+      { role: 'anonymous', as: undefined, edit: 401, bids: 0 }
+    ];
+    // Creator last for DELETE, so the task is still there for the others
+    for (const { role, as, edit, bids } of expected) {
+      const update = await api.request('PUT', `/api/v1/tasks/${taskId}`, { as, body: { budget: 650 } });
+      assert.equal(update.status, edit, `${role} PUT`);
+      const detail = await api.request('GET', `/api/v1/tasks/${taskId}`, { as });
+      assert.equal(detail.body.bids.length, bids, `${role} sees ${bids} bid(s)`);
+      assert.equal(detail.body.bidCount, 2, `${role} sees the bid count`);
+    }
+    for (const { role, as, edit } of [...expected].reverse()) {
+      const removal = await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as });
+      assert.equal(removal.status, edit === 200 ? 204 : edit, `${role} DELETE`);
+    }
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, validTask, startServer } = require('./helpers');
+const { MemoryRateLimitStore, parseRate } = require('../middleware/rateLimit');
+
+describe('token bucket store', () => {
+  it('allows a burst, then refills at the configured rate', async () => {
+    const store = new MemoryRateLimitStore();
+    const rate = parseRate('2/min'); // One token every 30 seconds
+    const start = 1000000;
+
+    assert.equal((await store.take('k', rate, start)).allowed, true);
+    assert.equal((await store.take('k', rate, start)).allowed, true);
+    const denied = await store.take('k', rate, start);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterMs, 30 * 1000);
+
+    assert.equal((await store.take('k', rate, start + 29 * 1000)).allowed, false);
+    assert.equal((await store.take('k', rate, start + 31 * 1000)).allowed, true);
+    // Other keys have their own bucket
+    assert.equal((await store.take('other', rate, start)).allowed, true);
+  });
+
+  it('keeps at most maxKeys buckets, evicting the least recently used', async () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 2 });
+    const rate = parseRate('1/day');
+    const start = 1000000;
+
+    await store.take('a', rate, start);
+    await store.take('b', rate, start + 1);
+    await store.take('a', rate, start + 2); // 'a' is now the most recently used
+    await store.take('c', rate, start + 3);
+
+    assert.equal(store.buckets.size, 2);
+    assert.deepEqual([...store.buckets.keys()].sort(), ['a', 'c']);
+    assert.equal((await store.take('a', rate, start + 4)).allowed, false);
+  });
+
+  it('parses rates and rejects malformed ones', () => {
+    assert.deepEqual(parseRate('60/hour'), { capacity: 60, refillPerMs: 60 / 3600000 });
+    assert.equal(parseRate('off'), null);
+    assert.throws(() => parseRate('ten per minute'), /Invalid rate limit/);
+    assert.throws(() => parseRate('0/min'), /Invalid rate limit/);
+  });
+});
+
+describe('rate limited routes', () => {
+  let api;
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  it('limits task creation per user with 429 and Retry-After', async () => {
+    api = await startServer({ rateLimits: { tasks: { perIp: null, perUser: parseRate('2/hour') } } });
+    await api.createTask();
+    await api.createTask();
+
+    const res = await api.request('POST', '/api/v1/tasks', { as: users.creator, body: validTask() });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+    assert.equal(res.headers.get('retry-after'), String(30 * 60));
+
+    // Another user has their own bucket
+    await api.createTask({}, users.viewer);
+  });
+
+  it('limits bids per client IP across users', async () => {
+    api = await startServer({ rateLimits: { bids: { perIp: parseRate('2/hour'), perUser: null } } });
+    const taskId = await api.createTask();
+    await api.placeBid(taskId, users.bidder);
+    await api.placeBid(taskId, users.otherBidder);
+
+    const res = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { as: users.viewer, body: { biddingAmount: 100 } });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+
+  it('counts malformed requests against the limit', async () => {
+    api = await startServer({ rateLimits: { bids: { perIp: null, perUser: parseRate('1/hour') } } });
+    const taskId = await api.createTask();
+
+    const malformed = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { as: users.bidder, body: { biddingAmount: 'lots' } });
+    assert.equal(malformed.status, 400);
+    const res = await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { as: users.bidder, body: { biddingAmount: 100 } });
+    assert.equal(res.status, 429);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const brokenStore = { take: async () => { throw new Error('Store offline'); } };
+    api = await startServer({ rateLimitStore: brokenStore });
+    await api.createTask();
+  });
+});
+
+describe('CORS and body limits', () => {
+  let api;
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  it('only answers CORS for allow-listed origins', async () => {
+    api = await startServer({ corsOrigins: ['https://app.example.com'] });
+
+    const allowed = await api.request('GET', '/api/v1/featured-tasks', { headers: { Origin: 'https://app.example.com' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+
+    const other = await api.request('GET', '/api/v1/featured-tasks', { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('rejects JSON bodies over the size limit with 413', async () => {
+    api = await startServer({ jsonBodyLimit: '1kb' });
+    const res = await api.request('POST', '/api/v1/tasks', { as: users.creator, body: validTask({ description: 'x'.repeat(2000) }) });
+    assert.equal(res.status, 413);
+    assert.equal(res.body.error.code, 'PAYLOAD_TOO_LARGE');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, startServer } = require('./helpers');
+
+describe('reviews and reputation', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const review = (taskId, as, body) => api.request('POST', `/api/v1/tasks/${taskId}/reviews`, { as, body });
+  const profile = (uid) => api.request('GET', `/api/v1/users/${uid}/profile`);
+  const setStatus = (taskId, status) => api.request('PATCH', `/api/v1/tasks/${taskId}/status`, { as: users.creator, body: { status } });
+
+  // A task awarded to the bidder, taken through to completion unless stopAt says otherwise
+  const awardedTask = async (overrides = {}, { bidder = users.bidder, stopAt = 'completed' } = {}) => {
+    const taskId = await api.createTask(overrides);
+    const bidId = await api.placeBid(taskId, bidder);
+    await api.request('POST', `/api/v1/tasks/${taskId}/bids/${bidId}/accept`, { as: users.creator });
+    if (stopAt !== 'awarded') await setStatus(taskId, 'in_progress');
+    if (stopAt === 'completed') await setStatus(taskId, 'completed');
+    return taskId;
+  };
+
+  it('lets the creator and the awarded bidder review each other once', async () => {
+    const taskId = await awardedTask({ title: 'Logo' });
+
+    const byCreator = await review(taskId, users.creator, { rating: 5, comment: 'Fast and careful.' });
+    assert.equal(byCreator.status, 201);
+    assert.equal((await review(taskId, users.bidder, { rating: 4, comment: 'Clear brief.' })).status, 201);
+
+    const again = await review(taskId, users.creator, { rating: 1, comment: 'Changed my mind.' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, 'DUPLICATE_REVIEW');
+
+    const bidderProfile = await profile(users.bidder.uid);
+    assert.equal(bidderProfile.status, 200);
+    assert.equal(bidderProfile.body.name, users.bidder.name);
+    assert.deepEqual(bidderProfile.body.reputation, { averageRating: 5, reviewCount: 1, completedTasks: 1 });
+    const [received] = bidderProfile.body.recentReviews;
+    assert.equal(received.comment, 'Fast and careful.');
+    assert.equal(received.reviewerRole, 'creator');
+    assert.equal(received.taskTitle, 'Logo');
+    // Profiles are public, so no email addresses
+    assert.doesNotMatch(JSON.stringify(bidderProfile.body), /@/);
+
+    assert.equal((await profile(users.creator.uid)).body.reputation.averageRating, 4);
+    assert.equal((await profile('nobody')).status, 404);
+  });
+
+  it('only accepts reviews from participants of completed tasks', async () => {
+    const inProgress = await awardedTask({}, { stopAt: 'in_progress' });
+    const early = await review(inProgress, users.creator, { rating: 5, comment: 'Going well.' });
+    assert.equal(early.status, 409);
+
+    const taskId = await awardedTask();
+    assert.equal((await review(taskId, users.otherBidder, { rating: 1, comment: 'Never worked together.' })).status, 403);
+    assert.equal((await review(taskId, users.viewer, { rating: 1, comment: 'Spam.' })).status, 403);
+    assert.equal((await review(taskId, undefined, { rating: 5, comment: 'Anon.' })).status, 401);
+    assert.equal((await review('bad-id', users.creator, { rating: 5, comment: 'Ok.' })).status, 400);
+
+    const invalid = await review(taskId, users.creator, { rating: 4.5, comment: '' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.error.errors.map(e => e.field).sort(), ['comment', 'rating']);
+    assert.equal((await review(taskId, users.creator, { rating: 6, comment: 'Too good.' })).status, 400);
+  });
+
+  it('embeds bidder reputation in bid listings', async () => {
+    const first = await awardedTask();
+    await review(first, users.creator, { rating: 4, comment: 'Good.' });
+    const second = await awardedTask();
+    await review(second, users.creator, { rating: 5, comment: 'Great.' });
+
+    const taskId = await api.createTask();
+    await api.placeBid(taskId, users.bidder);
+    await api.placeBid(taskId, users.otherBidder);
+
+    const res = await api.request('GET', `/api/v1/tasks/${taskId}/bids`, { as: users.creator });
+    assert.equal(res.status, 200);
+    const byBidder = Object.fromEntries(res.body.map(bid => [bid.bidderEmail, bid.bidderReputation]));
+    assert.deepEqual(byBidder[users.bidder.email], { averageRating: 4.5, reviewCount: 2, completedTasks: 2 });
+    assert.deepEqual(byBidder[users.otherBidder.email], { averageRating: null, reviewCount: 0, completedTasks: 0 });
+  });
+});
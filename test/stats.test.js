@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { users, daysFromNow, startServer } = require('./helpers');
+
+describe('stats routes', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  describe('GET /api/v1/tasks/:id/stats', () => {
+    it('summarises bid amounts against the budget and the spread of proposed deadlines', async () => {
+      const taskId = await api.createTask({ budget: 500 });
+      await api.placeBid(taskId, users.bidder, { biddingAmount: 400, proposedDeadline: daysFromNow(5) });
+      await api.placeBid(taskId, users.otherBidder, { biddingAmount: 500, proposedDeadline: daysFromNow(7) });
+      await api.placeBid(taskId, users.viewer, { biddingAmount: 700, proposedDeadline: daysFromNow(15) });
+
+      const res = await api.request('GET', `/api/v1/tasks/${taskId}/stats`, { as: users.creator });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.bidCount, 3);
+      assert.deepEqual(res.body.amounts, { min: 400, max: 700, average: 533.33, median: 500 });
+      assert.deepEqual(res.body.budgetComparison, {
+        budget: 500,
+        averageVsBudget: 33.33,
+        averageVsBudgetPercent: 6.67,
+        belowBudgetCount: 1,
+        atBudgetCount: 1,
+        aboveBudgetCount: 1
+      });
+      assert.equal(res.body.bidderDeadlines.spreadDays, 10);
+    });
+
+    it('averages the two middle amounts for an even number of bids', async () => {
+      const taskId = await api.createTask({ budget: 100 });
+      await api.placeBid(taskId, users.bidder, { biddingAmount: 80 });
+      await api.placeBid(taskId, users.otherBidder, { biddingAmount: 120 });
+
+      const res = await api.request('GET', `/api/v1/tasks/${taskId}/stats`, { as: users.creator });
+      assert.equal(res.body.amounts.median, 100);
+    });
+
+    it('returns empty stats for a task without bids', async () => {
+      const taskId = await api.createTask({ budget: 250 });
+      const res = await api.request('GET', `/api/v1/tasks/${taskId}/stats`, { as: users.creator });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.bidCount, 0);
+      assert.equal(res.body.amounts.median, null);
+      assert.equal(res.body.budgetComparison.budget, 250);
+    });
+
+    it('is only available to the task creator', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await api.request('GET', `/api/v1/tasks/${taskId}/stats`, { as: users.bidder })).status, 403);
+      assert.equal((await api.request('GET', `/api/v1/tasks/${taskId}/stats`)).status, 401);
+    });
+  });
+
+  describe('GET /api/v1/my-stats', () => {
+    it('totals the caller\'s tasks, bids and awarded value', async () => {
+      const taskId = await api.createTask();
+      const otherTaskId = await api.createTask({ title: 'Another' });
+      const winning = await api.placeBid(taskId, users.bidder, { biddingAmount: 450 });
+      await api.placeBid(otherTaskId, users.bidder, { biddingAmount: 300 });
+      await api.request('POST', `/api/v1/tasks/${taskId}/bids/${winning}/accept`, { as: users.creator });
+
+      const bidder = await api.request('GET', '/api/v1/my-stats', { as: users.bidder });
+      assert.equal(bidder.status, 200);
+      assert.equal(bidder.body.tasksPosted, 0);
+      assert.equal(bidder.body.bidsPlaced, 2);
+      assert.equal(bidder.body.bidsPending, 1);
+      assert.equal(bidder.body.bidsAccepted, 1);
+      assert.equal(bidder.body.totalAwardedValue, 450);
+
+      const creator = await api.request('GET', '/api/v1/my-stats', { as: users.creator });
+      assert.equal(creator.body.tasksPosted, 2);
+      assert.equal(creator.body.tasksAwarded, 1);
+      assert.equal(creator.body.bidsPlaced, 0);
+    });
+
+    it('requires authentication', async () => {
+      assert.equal((await api.request('GET', '/api/v1/my-stats')).status, 401);
+    });
+  });
+
+  describe('GET /api/v1/stats/categories', () => {
+    it('lists every category with task, budget and bid totals', async () => {
+      const taskId = await api.createTask({ category: 'Graphic Design', budget: 100 });
+      await api.createTask({ category: 'Graphic Design', budget: 300 });
+      await api.placeBid(taskId);
+
+      const res = await api.request('GET', '/api/v1/stats/categories');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 6);
+      assert.deepEqual(res.body[0], {
+        category: 'Graphic Design',
+        taskCount: 2,
+        openTaskCount: 2,
+        averageBudget: 200,
+        totalBudget: 400,
+        bidCount: 1,
+        averageBidsPerTask: 0.5
+      });
+      assert.equal(res.body.find(row => row.category === 'General').taskCount, 0);
+    });
+  });
+});
@@ -0,0 +1,343 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { users, daysFromNow, validTask, startServer } = require('./helpers');
+
+describe('task routes', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  describe('GET /', () => {
+    it('renders the status page', async () => {
+      const res = await api.request('GET', '/');
+      assert.equal(res.status, 200);
+      assert.match(res.body, /GigConnect Server/);
+    });
+  });
+
+  describe('POST /api/v1/tasks', () => {
+    it('creates an open task owned by the caller', async () => {
+      const res = await api.request('POST', '/api/v1/tasks', {
+        as: users.creator,
+        body: validTask({ creatorEmail: 'someone-else@example.com', status: 'completed', extra: 'dropped' })
+      });
+      assert.equal(res.status, 201);
+
+      const stored = await api.collections.tasksCollection.findOne({ _id: new ObjectId(res.body.taskId) });
+      assert.equal(stored.creatorEmail, users.creator.email);
+      assert.equal(stored.creatorUid, users.creator.uid);
+      assert.equal(stored.creatorName, users.creator.name);
+      assert.equal(stored.status, 'open');
+      assert.equal(stored.extra, undefined);
+      assert.ok(stored.createdAt instanceof Date);
+      assert.deepEqual(stored.deadline, new Date(validTask().deadline)); // Stored as a real date
+    });
+
+    it('requires authentication', async () => {
+      const res = await api.request('POST', '/api/v1/tasks', { body: validTask() });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects a forged token', async () => {
+      const res = await api.request('POST', '/api/v1/tasks', {
+        body: validTask(),
+        headers: { Authorization: 'Bearer not.a.token' }
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects a missing body', async () => {
+      const res = await api.request('POST', '/api/v1/tasks', { as: users.creator });
+      assert.equal(res.status, 400);
+    });
+
+    it('lists every invalid field', async () => {
+      const res = await api.request('POST', '/api/v1/tasks', {
+        as: users.creator,
+        body: validTask({ title: '', budget: -5, category: 'Plumbing', deadline: '2000-01-01' })
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.errors.map(e => e.field).sort(), ['budget', 'category', 'deadline', 'title']);
+    });
+  });
+
+  describe('GET /api/v1/tasks', () => {
+    it('paginates tasks sorted by deadline', async () => {
+      for (const days of [30, 10, 20]) {
+        await api.createTask({ title: `Task due in ${days} days`, deadline: daysFromNow(days) });
+      }
+      const res = await api.request('GET', '/api/v1/tasks?page=1&limit=2');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalTasks, 3);
+      assert.equal(res.body.totalPages, 2);
+      assert.equal(res.body.currentPage, 1);
+      assert.deepEqual(res.body.tasks.map(t => t.title), ['Task due in 10 days', 'Task due in 20 days']);
+    });
+
+    it('filters by category, budget range and deadline window', async () => {
+      await api.createTask({ title: 'Cheap site', budget: 50 });
+      await api.createTask({ title: 'Logo', category: 'Graphic Design', budget: 300 });
+      await api.createTask({ title: 'Big site', budget: 3000, deadline: daysFromNow(60) });
+
+      const byCategory = await api.request('GET', '/api/v1/tasks?category=Graphic%20Design');
+      assert.deepEqual(byCategory.body.tasks.map(t => t.title), ['Logo']);
+
+      const byBudget = await api.request('GET', '/api/v1/tasks?minBudget=100&maxBudget=5000&category=Web%20Development');
+      assert.deepEqual(byBudget.body.tasks.map(t => t.title), ['Big site']);
+
+      const byDeadline = await api.request('GET', `/api/v1/tasks?deadlineFrom=${daysFromNow(30)}`);
+      assert.deepEqual(byDeadline.body.tasks.map(t => t.title), ['Big site']);
+    });
+
+    it('searches title and description', async () => {
+      await api.createTask({ title: 'Translate a brochure', category: 'Writing & Translation' });
+      await api.createTask({ title: 'Edit a video', description: 'Needs subtitles and translation.' });
+      await api.createTask({ title: 'Unrelated' });
+
+      const res = await api.request('GET', '/api/v1/tasks?search=translat');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalTasks, 2);
+      assert.deepEqual(res.body.tasks.map(t => t.title).sort(), ['Edit a video', 'Translate a brochure']);
+    });
+
+    it('sorts by budget and by number of bids', async () => {
+      const small = await api.createTask({ title: 'Small', budget: 10 });
+      await api.createTask({ title: 'Large', budget: 1000 });
+      await api.placeBid(small);
+
+      const byBudget = await api.request('GET', '/api/v1/tasks?sort=budget_desc');
+      assert.deepEqual(byBudget.body.tasks.map(t => t.title), ['Large', 'Small']);
+
+      const byBids = await api.request('GET', '/api/v1/tasks?sort=most_bids');
+      assert.deepEqual(byBids.body.tasks.map(t => t.title), ['Small', 'Large']);
+      assert.equal(byBids.body.tasks[0].bidCount, 1);
+    });
+
+    it('answers 400 for invalid filters', async () => {
+      const res = await api.request('GET', '/api/v1/tasks?category=Plumbing&minBudget=abc&sort=random');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.errors.map(e => e.field), ['category', 'minBudget', 'sort']);
+    });
+  });
+
+  describe('GET /api/v1/tasks/my-posted-tasks', () => {
+    it('returns only the caller\'s tasks, ignoring creatorEmail in the query', async () => {
+      await api.createTask({ title: 'Mine' });
+      await api.createTask({ title: 'Theirs' }, users.viewer);
+
+      const res = await api.request('GET', `/api/v1/tasks/my-posted-tasks?creatorEmail=${users.viewer.email}`, { as: users.creator });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.tasks.map(t => t.title), ['Mine']);
+    });
+
+    it('pages the caller\'s tasks and counts their bids', async () => {
+      const first = await api.createTask({ title: 'First' });
+      await api.createTask({ title: 'Second' });
+      await api.createTask({ title: 'Third' });
+      await api.placeBid(first, users.bidder);
+      await api.placeBid(first, users.otherBidder);
+
+      const page1 = await api.request('GET', '/api/v1/tasks/my-posted-tasks?limit=2', { as: users.creator });
+      assert.deepEqual(page1.body.tasks.map(t => t.title), ['Third', 'Second']);
+      assert.equal(page1.body.totalTasks, 3);
+      assert.equal(page1.body.totalPages, 2);
+      assert.equal(page1.body.currentPage, 1);
+
+      const page2 = await api.request('GET', '/api/v1/tasks/my-posted-tasks?limit=2&page=2', { as: users.creator });
+      assert.deepEqual(page2.body.tasks.map(t => [t.title, t.bidCount]), [['First', 2]]);
+    });
+
+    it('requires authentication', async () => {
+      const res = await api.request('GET', '/api/v1/tasks/my-posted-tasks');
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/v1/featured-tasks', () => {
+    it('returns at most six tasks, the most urgent first when all else is equal', async () => {
+      for (let days = 8; days >= 1; days--) {
+        await api.createTask({ title: `Due in ${days}`, deadline: daysFromNow(days) });
+      }
+      const res = await api.request('GET', '/api/v1/featured-tasks');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 6);
+      assert.equal(res.body[0].title, 'Due in 1');
+      assert.equal(typeof res.body[0].featuredScore, 'number');
+    });
+
+    it('leaves out expired, closed and trashed tasks', async () => {
+      await api.createTask({ title: 'Open' });
+      const cancelled = await api.createTask({ title: 'Cancelled' });
+      await api.request('PATCH', `/api/v1/tasks/${cancelled}/status`, { as: users.creator, body: { status: 'cancelled' } });
+      const trashed = await api.createTask({ title: 'Trashed' });
+      await api.request('DELETE', `/api/v1/tasks/${trashed}`, { as: users.creator });
+      await api.collections.tasksCollection.insertOne({
+        title: 'Expired', category: 'General', budget: 9000, description: 'Old task', deadline: new Date('2020-01-01'), creatorEmail: users.creator.email
+      });
+
+      const res = await api.request('GET', '/api/v1/featured-tasks');
+      assert.deepEqual(res.body.map(t => t.title), ['Open']);
+    });
+
+    it('ranks bigger budgets and busier tasks higher', async () => {
+      const deadline = daysFromNow(10);
+      await api.createTask({ title: 'Small', budget: 50, deadline });
+      await api.createTask({ title: 'Large', budget: 5000, deadline });
+      const busy = await api.createTask({ title: 'Busy', budget: 50, deadline });
+      await api.placeBid(busy, users.bidder);
+      await api.placeBid(busy, users.otherBidder);
+
+      const res = await api.request('GET', '/api/v1/featured-tasks');
+      assert.deepEqual(res.body.map(t => t.title), ['Large', 'Busy', 'Small']);
+      assert.equal(res.body[1].bidCount, 2);
+    });
+
+    it('takes its weights from config', async () => {
+      const urgencyOnly = await startServer({ featuredWeights: { budget: 0, recency: 0, bids: 0, urgency: 1 } });
+      try {
+        await urgencyOnly.createTask({ title: 'Large, later', budget: 5000, deadline: daysFromNow(5) });
+        await urgencyOnly.createTask({ title: 'Small, sooner', budget: 50, deadline: daysFromNow(2) });
+        const res = await urgencyOnly.request('GET', '/api/v1/featured-tasks');
+        assert.deepEqual(res.body.map(t => t.title), ['Small, sooner', 'Large, later']);
+      } finally {
+        await urgencyOnly.close();
+      }
+    });
+
+    it('filters by category and honours limit', async () => {
+      await api.createTask({ title: 'Site', category: 'Web Development' });
+      await api.createTask({ title: 'Logo', category: 'Graphic Design' });
+      await api.createTask({ title: 'Poster', category: 'Graphic Design' });
+
+      const res = await api.request('GET', '/api/v1/featured-tasks?category=Graphic%20Design&limit=1');
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].category, 'Graphic Design');
+
+      const invalid = await api.request('GET', '/api/v1/featured-tasks?category=Nope&limit=500');
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.error.errors.map(e => e.field), ['category', 'limit']);
+    });
+
+    it('serves repeat requests from the cache until tasks or bids change', async () => {
+      const taskId = await api.createTask();
+      let aggregations = 0;
+      const aggregate = api.collections.tasksCollection.aggregate.bind(api.collections.tasksCollection);
+      api.collections.tasksCollection.aggregate = (...args) => {
+        aggregations += 1;
+        return aggregate(...args);
+      };
+
+      await api.request('GET', '/api/v1/featured-tasks');
+      const cached = await api.request('GET', '/api/v1/featured-tasks');
+      assert.equal(aggregations, 1);
+      assert.equal(cached.body[0].bidCount, 0);
+
+      await api.placeBid(taskId);
+      const refreshed = await api.request('GET', '/api/v1/featured-tasks');
+      assert.equal(aggregations, 2);
+      assert.equal(refreshed.body[0].bidCount, 1);
+
+      // Failed writes leave the cache alone
+      await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { as: users.creator, body: { biddingAmount: 1 } });
+      await api.request('GET', '/api/v1/featured-tasks');
+      assert.equal(aggregations, 2);
+    });
+  });
+
+  describe('GET /api/v1/tasks/:id', () => {
+    it('shows the creator every bid, a bidder only theirs and others just the count', async () => {
+      const taskId = await api.createTask();
+      await api.placeBid(taskId, users.bidder);
+      await api.placeBid(taskId, users.otherBidder);
+
+      const asCreator = await api.request('GET', `/api/v1/tasks/${taskId}`, { as: users.creator });
+      assert.equal(asCreator.status, 200);
+      assert.equal(asCreator.body.bids.length, 2);
+      assert.equal(asCreator.body.bidCount, 2);
+
+      const asBidder = await api.request('GET', `/api/v1/tasks/${taskId}`, { as: users.bidder });
+      assert.deepEqual(asBidder.body.bids.map(b => b.bidderEmail), [users.bidder.email]);
+      assert.equal(asBidder.body.bidCount, 2);
+
+      const anonymous = await api.request('GET', `/api/v1/tasks/${taskId}`);
+      assert.deepEqual(anonymous.body.bids, []);
+      assert.equal(anonymous.body.bidCount, 2);
+    });
+
+    it('answers 400 for a malformed id and 404 for an unknown one', async () => {
+      assert.equal((await api.request('GET', '/api/v1/tasks/not-an-id')).status, 400);
+      assert.equal((await api.request('GET', `/api/v1/tasks/${new ObjectId()}`)).status, 404);
+    });
+  });
+
+  describe('PUT /api/v1/tasks/:id', () => {
+    it('lets the creator update allowed fields only', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('PUT', `/api/v1/tasks/${taskId}`, {
+        as: users.creator,
+        body: { budget: 750, creatorEmail: 'hijack@example.com', status: 'completed', _id: 'x' }
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.modifiedCount, 1);
+
+      const stored = await api.collections.tasksCollection.findOne({ _id: new ObjectId(taskId) });
+      assert.equal(stored.budget, 750);
+      assert.equal(stored.creatorEmail, users.creator.email);
+      assert.equal(stored.status, 'open');
+    });
+
+    it('validates the fields sent', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: { budget: 0, category: 'Nope' } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.errors.map(e => e.field), ['category', 'budget']);
+    });
+
+    it('rejects empty or non-updatable payloads', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: {} })).status, 400);
+      assert.equal((await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: { creatorName: 'x' } })).status, 400);
+    });
+
+    it('forbids anyone but the creator', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.viewer, body: { budget: 1 } });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error.code, 'FORBIDDEN');
+    });
+
+    it('answers 401, 400 and 404 for missing auth, malformed and unknown ids', async () => {
+      const taskId = await api.createTask();
+      assert.equal((await api.request('PUT', `/api/v1/tasks/${taskId}`, { body: { budget: 1 } })).status, 401);
+      assert.equal((await api.request('PUT', '/api/v1/tasks/bad-id', { as: users.creator, body: { budget: 1 } })).status, 400);
+      assert.equal((await api.request('PUT', `/api/v1/tasks/${new ObjectId()}`, { as: users.creator, body: { budget: 1 } })).status, 404);
+    });
+  });
+
+  describe('DELETE /api/v1/tasks/:id', () => {
+    it('lets the creator delete the task', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as: users.creator });
+      assert.equal(res.status, 204);
+      assert.equal((await api.request('GET', `/api/v1/tasks/${taskId}`)).status, 404);
+    });
+
+    it('forbids anyone but the creator', async () => {
+      const taskId = await api.createTask();
+      const res = await api.request('DELETE', `/api/v1/tasks/${taskId}`, { as: users.bidder });
+      assert.equal(res.status, 403);
+    });
+
+    it('answers 400 and 404 for malformed and unknown ids', async () => {
+      assert.equal((await api.request('DELETE', '/api/v1/tasks/bad-id', { as: users.creator })).status, 400);
+      assert.equal((await api.request('DELETE', `/api/v1/tasks/${new ObjectId()}`, { as: users.creator })).status, 404);
+    });
+  });
+});
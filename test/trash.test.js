@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { users, startServer } = require('./helpers');
+const { purgeTrashedTasks } = require('../lib/trash');
+
+describe('task trash', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const trash = (taskId, as = users.creator) => api.request('DELETE', `/api/v1/tasks/${taskId}`, { as });
+  const restore = (taskId, as = users.creator) => api.request('POST', `/api/v1/tasks/${taskId}/restore`, { as });
+
+  it('hides a deleted task from listing, featured, detail and my-posted-tasks', async () => {
+    const taskId = await api.createTask({ title: 'Trashed' });
+    await api.createTask({ title: 'Kept' });
+    assert.equal((await trash(taskId)).status, 204);
+
+    const listing = await api.request('GET', '/api/v1/tasks');
+    assert.deepEqual(listing.body.tasks.map(t => t.title), ['Kept']);
+    assert.equal(listing.body.totalTasks, 1);
+
+    const featured = await api.request('GET', '/api/v1/featured-tasks');
+    assert.deepEqual(featured.body.map(t => t.title), ['Kept']);
+
+    assert.equal((await api.request('GET', `/api/v1/tasks/${taskId}`)).status, 404);
+
+    const mine = await api.request('GET', '/api/v1/tasks/my-posted-tasks', { as: users.creator });
+    assert.deepEqual(mine.body.tasks.map(t => t.title), ['Kept']);
+
+    // The document itself is still there
+    const stored = await api.collections.tasksCollection.findOne({ _id: new ObjectId(taskId) });
+    assert.ok(stored.deletedAt instanceof Date);
+  });
+
+  it('marks live bids task_cancelled so bidders see it in my-bids', async () => {
+    const taskId = await api.createTask();
+    const pendingBid = await api.placeBid(taskId, users.bidder);
+    const withdrawnBid = await api.placeBid(taskId, users.otherBidder);
+    await api.request('POST', `/api/v1/tasks/${taskId}/bids/${withdrawnBid}/withdraw`, { as: users.otherBidder });
+
+    await trash(taskId);
+
+    const myBids = await api.request('GET', '/api/v1/my-bids', { as: users.bidder });
+    const [bid] = myBids.body.bids;
+    assert.equal(bid._id, pendingBid);
+    assert.equal(bid.status, 'task_cancelled');
+    assert.ok(bid.task.deletedAt);
+
+    const withdrawn = await api.collections.bidsCollection.findOne({ _id: new ObjectId(withdrawnBid) });
+    assert.equal(withdrawn.status, 'withdrawn');
+  });
+
+  it('refuses edits, bids and a second delete on a trashed task', async () => {
+    const taskId = await api.createTask();
+    await trash(taskId);
+
+    assert.equal((await trash(taskId)).status, 404);
+    assert.equal((await api.request('PUT', `/api/v1/tasks/${taskId}`, { as: users.creator, body: { budget: 1 } })).status, 404);
+    assert.equal((await api.request('POST', `/api/v1/tasks/${taskId}/bids`, { as: users.bidder, body: { biddingAmount: 1 } })).status, 404);
+  });
+
+  it('lists the caller\'s trash with purge dates', async () => {
+    const taskId = await api.createTask({ title: 'Trashed' });
+    await api.createTask({ title: 'Someone else\'s' }, users.viewer);
+    await trash(taskId);
+
+    const res = await api.request('GET', '/api/v1/tasks/trash', { as: users.creator });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(t => t.title), ['Trashed']);
+    const retentionMs = new Date(res.body[0].purgeAt) - new Date(res.body[0].deletedAt);
+    assert.equal(retentionMs, 30 * 24 * 60 * 60 * 1000);
+
+    assert.equal((await api.request('GET', '/api/v1/tasks/trash')).status, 401);
+  });
+
+  it('restores a trashed task and the previous status of its bids', async () => {
+    const taskId = await api.createTask();
+    const bidId = await api.placeBid(taskId);
+    await trash(taskId);
+
+    const res = await restore(taskId);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.bidsRestored, 1);
+
+    assert.equal((await api.request('GET', `/api/v1/tasks/${taskId}`)).status, 200);
+    const bid = await api.collections.bidsCollection.findOne({ _id: new ObjectId(bidId) });
+    assert.equal(bid.status, 'pending');
+    assert.equal(bid.statusBeforeTaskDeleted, undefined);
+  });
+
+  it('only restores trashed tasks, and only for their creator', async () => {
+    const taskId = await api.createTask();
+    assert.equal((await restore(taskId)).status, 404);
+
+    await trash(taskId);
+    assert.equal((await restore(taskId, users.bidder)).status, 403);
+    assert.equal((await restore('bad-id')).status, 400);
+  });
+
+  it('purges tasks and bids trashed past the retention window', async () => {
+    const oldTask = await api.createTask({ title: 'Old' });
+    const recentTask = await api.createTask({ title: 'Recent' });
+    await api.placeBid(oldTask);
+    await api.placeBid(recentTask);
+    await trash(oldTask);
+    await trash(recentTask);
+
+    const { tasksCollection, bidsCollection } = api.collections;
+    const fortyDaysAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    await tasksCollection.updateOne({ _id: new ObjectId(oldTask) }, { $set: { deletedAt: fortyDaysAgo } });
+
+    const result = await purgeTrashedTasks(api.collections, { retentionDays: 30 });
+    assert.deepEqual(result, { tasksPurged: 1, bidsPurged: 1, threadsPurged: 0 });
+    assert.equal(await tasksCollection.countDocuments({ _id: new ObjectId(oldTask) }), 0);
+    assert.equal(await bidsCollection.countDocuments({ taskId: new ObjectId(oldTask) }), 0);
+    assert.equal(await tasksCollection.countDocuments({ _id: new ObjectId(recentTask) }), 1);
+  });
+
+  it('shows a null task summary in my-bids for a bid whose task is gone', async () => {
+    const taskId = await api.createTask();
+    await api.placeBid(taskId);
+    await api.collections.tasksCollection.deleteOne({ _id: new ObjectId(taskId) });
+
+    const res = await api.request('GET', '/api/v1/my-bids', { as: users.bidder });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.bids[0].task, null);
+  });
+});